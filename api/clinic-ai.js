@@ -5,15 +5,24 @@
 // - triage: 初診/怪主訴問診建議（中文+英文提示）
 // - im_consult: 內科顧問（英文）
 // - plan (default): 綜合 plan（中文）+ evidence pack + ESC risk engine (hard-locked)
+// Rule engines without LLM: see api/risk.js and api/nhi.js
+// Streaming: body.stream === true (or ?stream=1) → text/event-stream
+//   event: delta   { text }              model tokens (already re-identified)
+//   event: replace { answer }            plan verifier re-asked; full answer replaces the streamed one
+//   event: done    { ...same envelope as the JSON response, answer included }
+//   event: error   { error, detail }
+// PHI: soap/complaint are de-identified before the LLM call (api/phiRedaction.js);
+//      rule engines still read the raw note, only the prompt is redacted.
 // =====================================================
 
-import { escEas2025RiskStratify } from "./escRisk.js";
-import {
-  lipidEvidence,
-  nhiRiskFactors,
-  escStatinDoseSuggestion,
-  getNhiEligibilityFromSoap,
-} from "./lipidEvidence.js";
+import { lipidEvidence, nhiRiskFactors } from "./lipidEvidence.js";
+import { runRuleEngines } from "./engines.js";
+import { verifyPlanAnswer, buildPlanRepairPrompt } from "./planVerifier.js";
+import { getLlmConfig, createLlmProvider, resolveModel } from "./llmProvider.js";
+import { createPhiRedactor } from "./phiRedaction.js";
+import { formatDual } from "./labUnits.js";
+import { getFormulary, formatFormularyItem } from "./formulary.js";
+import { describeLifestyleTrial } from "./lifestyleTrial.js";
 
 
 // -------------------------
@@ -42,7 +51,7 @@ function compact(obj) {
 // -------------------------
 // Evidence Pack Builder
 // -------------------------
-function buildLipidEvidenceContext() {
+function buildLipidEvidencePack() {
   const targets = (lipidEvidence?.ldlTargets || []).map((e) => ({
     id: e.id,
     appliesTo: e.appliesTo,
@@ -73,6 +82,17 @@ function buildLipidEvidenceContext() {
     note: e.note ?? null,
   }));
 
+  const sams = (lipidEvidence?.statinIntolerance || []).map((e) => ({
+    id: e.id,
+    appliesTo: e.appliesTo,
+    action: e.action,
+    source: `${e.guideline} ${e.year}`,
+    section: e.section ?? null,
+    cor_loe: e.cor_loe ?? null,
+    quote: e.quote ?? null,
+    note: e.note ?? null,
+  }));
+
   const lpa = (lipidEvidence?.lipoproteinA || []).map((e) => ({
     id: e.id,
     appliesTo: e.appliesTo,
@@ -91,6 +111,7 @@ function buildLipidEvidenceContext() {
     eligibility: e.eligibility ?? null,
     startThreshold: e.startThreshold ?? null,
     goal: e.goal ?? null,
+    lifestyleTrial: e.lifestyleTrial ?? null,
     rule: e.rule ?? null,
     action: e.action ?? null,
     followUp: e.followUp ?? null,
@@ -110,15 +131,23 @@ function buildLipidEvidenceContext() {
     quote: e.quote ?? null,
   }));
 
-  const pack = compact({
+  return compact({
     ldlTargets: targets,
     treatmentLogic: logic,
     nonStatinTherapy: nonStatin,
+    statinIntolerance: sams,
     lipoproteinA: lpa,
     taiwanNhi: nhi,
     taiwanNhiRiskFactors: rf,
   });
+}
+
+// All evidence ids in the pack (returned to the client as "what the model was allowed to cite")
+function listEvidenceIds(pack) {
+  return Object.values(pack).flatMap((entries) => entries.map((e) => e.id));
+}
 
+function buildLipidEvidenceContext(pack = buildLipidEvidencePack()) {
   return (
     "=== AUTHORITATIVE EVIDENCE PACK (SOURCE-LIMITED) ===\n" +
     "For lipid/LDL/statin/ezetimibe/PCSK9/Lp(a)/Taiwan NHI lipid topics:\n" +
@@ -194,9 +223,137 @@ function buildImConsultPrompt({ soap }) {
   );
 }
 
-function buildPlanPrompt({ soap, injectEvidence, escRisk, nhi }) {
-  const evidenceBlock = injectEvidence
-    ? "\n\n" + buildLipidEvidenceContext() + "\n\n"
+// Dated lipid history → baseline / % reduction / goals / escalation (api/lipidHistory.js)
+function buildLdlTrackingBlock(t) {
+  if (!t) return "";
+  const yn = (x) => (x === true ? "met" : x === false ? "NOT met" : "unknown");
+  return (
+    "\n\n=== LDL-C 追蹤（系統依日期化血脂紀錄計算，請勿自行重算） ===\n" +
+    `Baseline (untreated): ${t.baseline ? `${t.baseline.ldl} mg/dL (${t.baseline.date}, ${t.baseline.basis})` : "unknown"}\n` +
+    `Latest: ${t.latest ? `${t.latest.ldl} mg/dL (${t.latest.date ?? "current note"}${t.latest.therapy ? `, on ${t.latest.therapy}` : ""})` : "unknown"}\n` +
+    `% reduction from baseline: ${t.percentReduction ?? "unknown"}\n` +
+    (t.esc.targetMgdl
+      ? `ESC target: LDL-C <${t.esc.targetMgdl} → ${yn(t.esc.absoluteMet)}; ≥${t.esc.requiredReduction ?? "-"}% reduction → ${yn(t.esc.reductionMet)}; overall → ${yn(t.esc.met)}\n`
+      : "ESC target: no numeric target for this risk category\n") +
+    `NHI goal (${t.nhiGoal.evidenceId ?? "N/A"}): ${t.nhiGoal.goal ?? "N/A"} → ${yn(t.nhiGoal.met)}\n` +
+    `Escalation: ${t.escalation.indicated ? t.escalation.message : "not indicated"}\n` +
+    (t.escalation.indicated
+      ? "（Escalation indicated 且 ESC 風險 high/very_high 時，Plan 第 1 行可寫 statin + ezetimibe 10 mg daily）\n"
+      : "") +
+    "=== END LDL-C 追蹤 ===\n\n"
+  );
+}
+
+// SAMS: the statin options above are already adjusted; the model must not go back to the failed statin/dose
+function buildSamsBlock(sams) {
+  if (!sams?.intolerant) return "";
+  const culprits = sams.culprits.map(
+    (c) => `${c.name}${c.doseMg ? ` ${c.doseMg} mg` : ""}${c.suspected ? "（推定）" : ""}`
+  );
+  return (
+    "\n=== Statin intolerance（SAMS，系統判定） ===\n" +
+    `severity: ${sams.severity}${sams.ck ? ` / CK ${sams.ck.value} U/L（${sams.ck.xUln}× ULN）` : ""}\n` +
+    `不耐受 statin：${culprits.join(", ") || "未記錄藥名/劑量"}\n` +
+    sams.suggestions.map((x) => `- ${x.text}（${x.evidenceId}）`).join("\n") +
+    "\n（規則：【Plan】第一行只能從上方「建議 Statin 劑量」選項挑選；不得再開出不耐受的 statin 與劑量；" +
+    "若選項為空（statin 暫停）→ 第一行寫 - Hold statin（reason）；non-statin 只能依上方 SAMS 建議）\n" +
+    "=== END SAMS ===\n\n"
+  );
+}
+
+// Renal / ancestry dosing: options above are already capped; the model must not restore the raw table dose
+function buildDosingBlock(dosing, statinSuggestion) {
+  const adjustments = statinSuggestion?.doseAdjustments || [];
+  if (!adjustments.length && !dosing?.doNotInitiate && !dosing?.reminders?.length) return "";
+  return (
+    "\n=== Statin 劑量調整（腎功能 / 族裔，系統判定） ===\n" +
+    `eGFR：${dosing.dialysis ? "dialysis" : dosing.esrd ? "ESRD (<15)" : dosing.egfr ?? "unknown"}${dosing.egfrSource ? `（${dosing.egfrSource}）` : ""}` +
+    ` / Asian ancestry：${dosing.asianAncestry ? "yes" : "no"}\n` +
+    adjustments.map((a) => `- ${a}`).join("\n") +
+    (adjustments.length ? "\n" : "") +
+    dosing.reminders.map((r) => `- ${r}`).join("\n") +
+    "\n（規則：【Plan】第一行劑量不得超過上方「建議 Statin 劑量」選項的範圍" +
+    (dosing.doNotInitiate ? "；透析且無 ASCVD → 第一行寫 - No statin initiation（dialysis）" : "") +
+    "）\n=== END 劑量調整 ===\n"
+  );
+}
+
+// ESC vs NHI: fixed explanation so the model does not improvise why "treat" and "pay" differ
+function buildDiscordanceBlock(d) {
+  if (!d) return "";
+  return (
+    "\n=== ESC vs NHI 比較（系統判定） ===\n" +
+    `status: ${d.status}${d.selfPay ? "（guideline-directed drug therapy = 自費）" : ""}\n` +
+    `說明：${d.explanation.zh}\n` +
+    "（規則：ESC 建議與 NHI 給付分開寫；NHI 行仍依 [NHI auto-check]；" +
+    (d.selfPay ? "NHI 行寫 Not eligible，不得暗示健保給付；" : "") +
+    "不得自行改寫此比較結果）\n" +
+    "=== END ESC vs NHI ===\n"
+  );
+}
+
+// chronic_plan: any lipid drug the comment names must be an orderable product (brand + tablet strength)
+function buildFormularyBlock(formulary) {
+  if (!formulary?.items?.length) return "";
+  return (
+    `CLINIC FORMULARY (${formulary.configured ? "clinic" : "default"}):\n` +
+    formulary.items.map((x) => `- ${formatFormularyItem(x)}`).join("\n") +
+    "\n- If a listed drug class is adjusted, use ONLY the products and tablet strengths above (brand name allowed).\n"
+  );
+}
+
+// Interactions / pregnancy: options above already filtered/capped; list why so the Plan can say so
+function buildInteractionBlock(interactions, statinSuggestion) {
+  const removed = statinSuggestion?.removedForInteraction || [];
+  const hold = interactions?.pregnancy || interactions?.lactation;
+  if (!interactions?.medications?.length && !hold && !interactions?.reminders?.length) return "";
+  return (
+    "\n=== Statin 交互作用 / 懷孕哺乳（系統判定） ===\n" +
+    (interactions.medications.length
+      ? `併用藥物：${interactions.medications.map((m) => `${m.label}（SOAP line ${m.lineNo}）`).join(", ")}\n`
+      : "") +
+    (removed.length ? `已移除：${removed.join("; ")}\n` : "") +
+    interactions.reminders.map((r) => `- ${r}`).join("\n") +
+    "\n（規則：【Plan】第一行只能從上方「建議 Statin 劑量」選項挑選，劑量不得超過標示上限；" +
+    "不得開出已移除的 statin" +
+    (hold ? "；懷孕/哺乳 → 第一行寫 - Hold statin（pregnancy/breastfeeding）" : "") +
+    "）\n=== END 交互作用 ===\n\n"
+  );
+}
+
+// Lp(a) = risk enhancer only: listed for the model, category already fixed above
+function buildRiskEnhancerBlock(escRisk) {
+  const enhancers = escRisk?.riskEnhancers || [];
+  if (!enhancers.length && !escRisk?.lpaDecisionGuard) return "";
+  return (
+    "\nRisk-enhancing factors（系統判定；不改變上方風險等級）：\n" +
+    enhancers.map((e) => `- ${e.factor}: ${e.display}（${e.evidenceId}）— ${e.note}`).join("\n") +
+    "\n" +
+    (escRisk.lpaDecisionGuard
+      ? `【Lp(a) decision guard】${escRisk.lpaDecisionGuard}\n` +
+        "（規則：不得僅因 Lp(a) 升高而在【Plan】啟動或加強 statin；不得寫 Lp(a) 使風險升級）\n"
+      : "")
+  );
+}
+
+function buildPlanPrompt({
+  soap,
+  evidencePack,
+  escRisk,
+  score2,
+  fh,
+  nhi,
+  nhiTg,
+  discordance,
+  sams,
+  dosing,
+  interactions,
+  statinSuggestion,
+  ldlTracking,
+  ldlCalculation,
+}) {
+  const evidenceBlock = evidencePack
+    ? "\n\n" + buildLipidEvidenceContext(evidencePack) + "\n\n"
     : "";
 
   const escRiskBlock = escRisk
@@ -204,26 +361,51 @@ function buildPlanPrompt({ soap, injectEvidence, escRisk, nhi }) {
       `風險等級：${escRisk.category}\n` +
       "判定理由：\n" +
       (Array.isArray(escRisk.reasons) ? escRisk.reasons.map((r) => `- ${r}`).join("\n") : "- (no reasons)") +
+      (score2
+        ? `\nSCORE2：${score2.applicable ? `${score2.model} ${score2.riskPercent}%（10 年 CVD 風險，${score2.region} risk region）→ ${score2.category}` : score2.note}\n` +
+          "（SCORE2 由系統計算；不得自行重算或改寫百分比）\n"
+        : "") +
+      (fh && fh.category !== "unlikely"
+        ? `\nFH（DLCN）：${fh.category}，${fh.score} 分（${fh.items.map((i) => `${i.criterion} +${i.points}`).join("; ")}）\n` +
+          fh.reminders.map((r) => `- ${r}`).join("\n") +
+          "\n（FH 提醒由系統另外顯示給醫師；不得因此改變下方固定格式的規則）\n"
+        : "") +
+      buildRiskEnhancerBlock(escRisk) +
       "\n\nESC 醫學建議 LDL-C 目標（⚠️非 Taiwan NHI 給付目標/門檻）：\n" +
       (escRisk.ldlTarget?.mgdl
-        ? `- (ESC) LDL-C < ${escRisk.ldlTarget.mgdl} mg/dL，且至少下降 ${escRisk.ldlTarget.percentReduction}%（${escRisk.ldlTarget.evidenceId || "N/A"}）\n`
+        ? `- (ESC) LDL-C < ${formatDual("LDL", escRisk.ldlTarget.mgdl)}，且至少下降 ${escRisk.ldlTarget.percentReduction}%（${escRisk.ldlTarget.evidenceId || "N/A"}）\n`
         : "- (ESC) 此風險層級未設定強制 LDL-C 數值目標；⚠️這不代表 Taiwan NHI 沒有門檻/目標，NHI 請只看 evidence pack。\n") +
       "=== END ESC RISK ===\n\n"
     : "";
   const statinSuggestionBlock =
-    escRisk && escStatinDoseSuggestion?.[escRisk.category]
+    statinSuggestion
       ? "\n\n=== 建議 Statin 劑量（ESC/EAS 2025） ===\n" +
-        `治療目標：${escStatinDoseSuggestion[escRisk.category].goal}\n` +
+        `治療目標：${statinSuggestion.goal}\n` +
         "建議選項：\n" +
-        escStatinDoseSuggestion[escRisk.category].options
-          .map((opt) => `- ${opt}`)
-          .join("\n") +
-        "\n（以最大可耐受劑量起始，未達標再加 ezetimibe）\n"
+        (statinSuggestion.options.length
+          ? statinSuggestion.options
+              .map(
+                (opt) =>
+                  `- ${opt.label}${opt.evidenceId ? `（${opt.evidenceId}）` : ""}` +
+                  (opt.interaction?.action === "monitor" ? ` ⚠️ ${opt.interaction.reasons.join("; ")}` : "") +
+                  (opt.combinations?.length
+                    ? `\n  ezetimibe 複方：${opt.combinations.map((c) => formatFormularyItem(c)).join("; ")}`
+                    : "")
+              )
+              .join("\n")
+          : `- （無）${statinSuggestion.note ?? ""}`) +
+        (statinSuggestion.notInFormulary?.length ? `\n院內未進藥/無此規格：${statinSuggestion.notInFormulary.join(", ")}` : "") +
+        "\n（以最大可耐受劑量起始，未達標再加 ezetimibe；【Plan】劑量必須是上列院內錠劑規格，可寫商品名）\n"
       : "";
 
   return (
     escRiskBlock +
     statinSuggestionBlock +
+    buildSamsBlock(sams) +
+    buildDosingBlock(dosing, statinSuggestion) +
+    buildInteractionBlock(interactions, statinSuggestion) +
+    buildDiscordanceBlock(discordance) +
+    buildLdlTrackingBlock(ldlTracking) +
     "You are a family medicine clinical decision support system practicing in Taiwan.\n\n" +
     "You are assisting a physician in an outpatient clinic with limited time.\n" +
     "Your goal is to provide SAFE, GUIDELINE-BASED, and PRACTICAL recommendations.\n\n" +
@@ -244,10 +426,31 @@ function buildPlanPrompt({ soap, injectEvidence, escRisk, nhi }) {
 "\n\n[NHI auto-check]\n" +
 `category: ${nhi?.category ?? "unknown"}\n` +
 `eligible: ${typeof nhi?.eligible === "boolean" ? nhi.eligible : "unknown"}\n` +
-`LDL: ${nhi?.ldl_mgdl ?? "unknown"}\n` +
-`risk factors: ${nhi?.riskFactorCount ?? "unknown"}\n` +
+`LDL: ${formatDual("LDL", nhi?.ldl_mgdl)} / TC: ${formatDual("TC", nhi?.tc_mgdl)}\n` +
+(ldlCalculation?.value != null
+  ? `LDL source: calculated (${ldlCalculation.method}) — ${ldlCalculation.derivation}（引用 LDL 時須註明 calculated）\n`
+  : ldlCalculation?.note
+    ? `LDL source: not reported; ${ldlCalculation.note}\n`
+    : "") +
+`threshold: ${nhi?.startThreshold ?? "N/A"}\n` +
+(nhi?.lifestyleTrialProgress
+  ? `lifestyle trial: ${describeLifestyleTrial(nhi.lifestyleTrialProgress)}` +
+    (nhi.eligibleAfter ? "（LDL 已達門檻但生活型態調整未滿 → eligible=false，NHI 行寫 Not eligible）" : "") +
+    (nhi.pendingLifestyleTrial ? "（LDL 已達門檻但生活型態調整開始日期未記錄 → eligible=false，NHI 行寫 Not eligible）" : "") +
+    "\n"
+  : "") +
+`evidence id: ${nhi?.evidenceId ?? "none（本 evidence pack 未涵蓋）"}\n` +
+`risk factors: ${nhi?.riskFactorCount ?? "unknown"}（糖尿病不算風險因子，走 NHI_LDL_CVD_OR_DM）\n` +
 `matched: ${Array.isArray(nhi?.matchedRiskFactors) ? nhi.matchedRiskFactors.map(x => x.label).join(", ") : "unknown"}\n\n` +
 
+"[NHI TG auto-check]（降三酸甘油酯藥物 fibrate / omega-3，系統判定）\n" +
+`category: ${nhiTg?.category ?? "unknown"}\n` +
+`TG: ${formatDual("TG", nhiTg?.tg_mgdl)} / HDL-C: ${formatDual("HDL", nhiTg?.hdl_mgdl)} / TC: ${formatDual("TC", nhiTg?.tc_mgdl)} / TC/HDL: ${nhiTg?.tcHdlRatio ?? "unknown"}\n` +
+`eligible: ${typeof nhiTg?.eligible === "boolean" ? nhiTg.eligible : "unknown"}\n` +
+`threshold: ${nhiTg?.startThreshold ?? "N/A"}\n` +
+`evidence id: ${nhiTg?.evidenceId ?? "N/A"}\n` +
+"（TG 給付結果由系統另外顯示給醫師；不得據此改變下方三段固定格式，也不得把 TG evidence id 寫進【Taiwan NHI 給付考量】那一行）\n\n" +
+
 "--------------------------------------------------\n\n" +
 "Here is a clinic SOAP note:\n\n" +
 soap +
@@ -259,15 +462,12 @@ soap +
     "請務必包含以下段落（用清楚標題＋條列）：\n" +
     "1)【Plan】僅輸出 3 行、格式固定如下（超出視為錯誤）：\n- <statin + dose + frequency>\n- Lifestyle modification\n- Lipid profile + ALT in 8–12 weeks\n（規則：不得解釋檢驗值；不得出現 ezetimibe/PCSK9，除非 ESC 風險為 high/very_high 或明確 ASCVD/糖尿病高風險；不得分小標題）\n" +
     "2)【Evidence & Guideline Support】僅輸出 1 行、格式固定如下（超出視為錯誤）：\n- <一句話結論> (<單一 evidence id>)\n" +
-    "（規則：不得重述 Plan；不得提 Lp(a)；不得提 ezetimibe/PCSK9）\n" +
+    "（規則：不得重述 Plan；不得提 Lp(a)，除非上方系統列出 Lp(a) risk-enhancing factor，且只能寫成 risk-enhancing factor、不得說它改變風險等級；不得提 ezetimibe/PCSK9）\n" +
     "   - 每一小點僅限【一句話＋evidence id】，禁止重述 Plan 或 lab interpretation。\n" +
     "（額外規則：只有在 SOAP 文字中『明確出現 LDL 且數值 ≥190 mg/dL』時，Evidence 句子才可以使用：'Severe hypercholesterolemia (LDL-C ≥190) without major ESC high/very-high risk features'；若 LDL <190 或未提供 LDL，Evidence 句子禁止使用 severe hypercholesterolemia/LDL≥190 相關字樣。）\n" +
-    "【硬規則】Taiwan NHI 請完全依照上方 [NHI auto-check] 的 category 與 risk factors 選擇『唯一正確』的 evidence id：\n" +
-"- primary_prevention 且 risk factors = 0 → 用 NHI_LDL_PRIMARY_PREV_RF_EQ0\n" +
-"- primary_prevention 且 risk factors = 1 → 用 NHI_LDL_PRIMARY_PREV_RF_EQ1\n" +
-"- primary_prevention 且 risk factors ≥2 → 用 NHI_LDL_PRIMARY_PREV_RF_GTE2\n" +
-"- secondary_prevention → 用 NHI_LDL_SEC_PREV_ACS_OR_CAD_1080201\n" +
-"不得自行改風險因子數；不得忽略年齡風險因子。\n\n" +
+    "【硬規則】Taiwan NHI 的 evidence id 一律使用上方 [NHI auto-check] 的 evidence id（系統已依 NHI 給付表判定，唯一正確）：\n" +
+"- 不得自行改 category、風險因子數或門檻；不得忽略年齡風險因子。\n" +
+"- 若 [NHI auto-check] evidence id 為 none → 該行寫：- Not eligible: 本 evidence pack 未涵蓋（不得引用任何 NHI evidence id）\n\n" +
 "3)【Taiwan NHI 給付考量】僅輸出 1 行、格式固定如下（超出視為錯誤）：\n- Eligible/Not eligible: <門檻數值> (<單一 NHI evidence id>)\n" +
 "（規則：不得同時寫 Eligible 與 Not eligible；不得解釋門檻推導；不得提 secondary prevention 除非 SOAP 明確有 ASCVD/ACS/PCI/CABG）\n"
 
@@ -276,6 +476,58 @@ soap +
 }
 
 
+// -------------------------
+// Usage accumulation (plan verifier retries)
+// -------------------------
+function sumUsage(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  const out = {};
+  for (const k of ["input_tokens", "output_tokens", "total_tokens"]) {
+    out[k] = (a[k] || 0) + (b[k] || 0);
+  }
+  return out;
+}
+
+
+// -------------------------
+// Plan verification: 檢核固定格式；違規就帶著違規清單重問（有上限），仍失敗則把殘留違規回傳給 UI
+// -------------------------
+async function verifyPlanWithRepair({ llm, prompt, answer, usage, ctx, model, maxOut, mode }) {
+  const maxRetries = clampNum(process.env.PLAN_VERIFY_MAX_RETRIES, 0, 3, 2);
+  let violations = verifyPlanAnswer(answer, ctx);
+  let attempts = 1;
+
+  while (violations.length && attempts <= maxRetries) {
+    const retry = await llm.generate({
+      prompt: buildPlanRepairPrompt(prompt, answer, violations),
+      model,
+      maxOutputTokens: maxOut,
+      mode,
+    });
+    attempts += 1;
+    if (!retry.ok) break; // 保留上一版答案與違規清單
+    answer = retry.answer;
+    usage = sumUsage(usage, retry.usage);
+    violations = verifyPlanAnswer(answer, ctx);
+  }
+
+  return { answer, usage, verification: { passed: violations.length === 0, attempts, violations } };
+}
+
+
+// -------------------------
+// SSE helpers
+// -------------------------
+function wantsStream(req, body) {
+  return body.stream === true || req.query?.stream === "1" || req.query?.stream === "true";
+}
+
+function sendSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+
 // -------------------------
 // Main Handler
 // -------------------------
@@ -303,35 +555,48 @@ export default async function handler(req, res) {
     const age = clampNum(body.age, 0, 120, null);
     const sex = body.sex === "M" || body.sex === "F" ? body.sex : "Unknown";
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      res.status(500).json({ error: "Server missing OPENAI_API_KEY env" });
+    // LLM provider (OpenAI / on-prem OpenAI-compatible / mock) — see api/llmProvider.js
+    const llmConfig = getLlmConfig();
+    if (llmConfig.requiresApiKey && !llmConfig.apiKey) {
+      res.status(500).json({ error: "Server missing OPENAI_API_KEY (or LLM_API_KEY) env" });
       return;
     }
+    const llm = createLlmProvider(llmConfig);
 
-    const model = safeStr(body.model, "gpt-4.1-mini");
+    // 送出前去識別化（姓名/身分證/病歷號/電話/生日/地址）；PHI_REDACTION=off 可關閉
+    const phi = createPhiRedactor();
+    const promptSoap = phi.redact(soap);
+    const promptComplaint = phi.redact(complaint);
+
+    const model = resolveModel(llmConfig, mode, body.model);
     const maxOut = clampNum(body.max_output_tokens, 200, 3000, 2000);
 
     let prompt = "";
+    // plan mode: deterministic engine results returned alongside the answer
+    let engineResult = {};
 
     if (mode === "triage") {
       if (!complaint) {
         res.status(400).json({ error: "Missing 'complaint' field for triage mode" });
         return;
       }
-      prompt = buildTriagePrompt({ age, sex, complaint });
+      prompt = buildTriagePrompt({ age, sex, complaint: promptComplaint });
     } else if (mode === "im_consult") {
       if (!soap) {
         res.status(400).json({ error: "Missing 'soap' field in body" });
         return;
       }
-      prompt = buildImConsultPrompt({ soap });
+      prompt = buildImConsultPrompt({ soap: promptSoap });
    } else if (mode === "chronic_plan") {
   if (!soap) {
     res.status(400).json({ error: "Missing 'soap' field in body" });
     return;
   }
 
+  // orderable lipid products (api/formulary.js); returned so the UI can show NHI codes
+  const formulary = getFormulary();
+  engineResult = { formulary };
+
   prompt =
 `You are a senior family medicine attending physician practicing in Taiwan.
 
@@ -359,11 +624,12 @@ ALLOWED FOLLOW-UP TIMING (choose ONE only):
 - 症狀變化提前回診
 - 自行安排回診追蹤
 
+${buildFormularyBlock(formulary)}
 OUTPUT HEADER (FIXED):
 【主治慢性病追蹤建議】
 
 Here is the clinic SOAP note:
-${soap}
+${promptSoap}
 `;
 
     } else {
@@ -373,70 +639,174 @@ ${soap}
         return;
       }
 
-      // ✅ 重要：NHI 2.6.1 是 secondary prevention；用 ascvd gate
-      const isSecondaryPrev = !!body.ascvd;
-      // ✅ NHI auto-check from SOAP (primary/secondary + riskFactorCount + threshold)
-      const nhi = getNhiEligibilityFromSoap(soap);
-
-      // ✅ ESC risk engine input：盡量用前端傳的結構化欄位
-      const patientForRisk = compact({
-        ascvd: !!body.ascvd,
-        diabetes: !!body.diabetes,
-        dmTargetOrganDamage: !!body.dmTargetOrganDamage,
-        dmMajorRiskFactorCount:
-          typeof body.dmMajorRiskFactorCount === "number" ? body.dmMajorRiskFactorCount : null,
-        t1dmLongDuration: !!body.t1dmLongDuration,
-        ckdEgfr: body.egfr ?? null,
-        sbp: body.sbp ?? null,
-        ldl: body.ldl ?? null,
-
-        // 一般 RF（只用於 moderate/low 判斷，不會直接升級 high）
-        hypertension: !!body.hypertension,
-        smoking: !!body.smoking,
-        familyHistoryPrematureASCVD: !!body.familyHistoryPrematureASCVD,
+      // UI 的結構化欄位直接放在 body（age/sex/ascvd/diabetes/egfr/ldl...）
+      // Free note (pasted dated panels) 或 body.lipidHistory → baseline-aware LDL tracking
+      const {
+        patientState,
+        score2,
+        fh,
+        nhi,
+        nhiTg,
+        escRisk,
+        discordance,
+        sams,
+        dosing,
+        interactions,
+        statinSuggestion,
+        ldlTracking,
+        formulary,
+      } = runRuleEngines({
+        patient: body,
+        soap,
+        lipidHistory: Array.isArray(body.lipidHistory) ? body.lipidHistory : null,
+        freeNote: safeStr(body.freeNote, ""),
       });
 
-      const escRisk = escEas2025RiskStratify(patientForRisk);
-
-      const injectEvidence = shouldInjectLipidEvidence({ soap, complaint, mode });
+      const evidencePack = shouldInjectLipidEvidence({ soap, complaint, mode })
+        ? buildLipidEvidencePack()
+        : null;
 
       prompt = buildPlanPrompt({
-        soap,
-        injectEvidence,
+        soap: promptSoap,
+        evidencePack,
         escRisk,
-        isSecondaryPrev,
+        score2,
+        fh,
         nhi,
+        nhiTg,
+        discordance,
+        sams,
+        dosing,
+        interactions,
+        statinSuggestion,
+        ldlTracking,
+        ldlCalculation: patientState.ldlCalculation,
       });
+
+      engineResult = {
+        escRisk,
+        score2,
+        fh,
+        nhi,
+        nhiTg,
+        discordance,
+        sams,
+        dosing,
+        interactions,
+        formulary,
+        statinSuggestion,
+        ldlTracking,
+        evidenceIds: evidencePack ? listEvidenceIds(evidencePack) : [],
+        patientState,
+      };
     }
 
-    // OpenAI Responses API
-    const apiResp = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
+    const startedAt = Date.now();
+    const ctx = engineResult.escRisk
+      ? {
+          escRisk: engineResult.escRisk,
+          nhi: engineResult.nhi,
+          sams: engineResult.sams,
+          dosing: engineResult.dosing,
+          interactions: engineResult.interactions,
+          formulary: engineResult.formulary,
+          evidenceIds: engineResult.evidenceIds,
+        }
+      : null;
+
+    // Envelope: LLM answer + what the system locked before the model wrote anything
+    const envelope = ({ answer, model: usedModel, usage, verification }) =>
+      compact({
+        answer: phi.reidentify(answer),
+        mode,
+        provider: llm.name,
+        model: usedModel || model,
+        usage,
+        latencyMs: Date.now() - startedAt,
+        verification,
+        redaction: phi.report(),
+        ...engineResult,
+      });
+
+    if (wantsStream(req, body)) {
+      res.status(200);
+      res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache, no-transform");
+      res.setHeader("Connection", "keep-alive");
+      res.flushHeaders?.();
+
+      // client closed the tab / pressed Cancel → stop the upstream call too
+      const abort = new AbortController();
+      res.on?.("close", () => {
+        if (!res.writableEnded) abort.abort();
+      });
+
+      const reid = phi.reidentifyStream();
+      const first = await llm.stream({
+        prompt,
         model,
-        input: prompt,
-        max_output_tokens: maxOut,
-      }),
-    });
+        maxOutputTokens: maxOut,
+        mode,
+        signal: abort.signal,
+        onDelta: (delta) => {
+          const text = reid.push(delta);
+          if (text) sendSse(res, "delta", { text });
+        },
+      });
+      if (abort.signal.aborted) return;
+
+      const tail = reid.flush();
+      if (tail) sendSse(res, "delta", { text: tail });
+
+      if (!first.ok) {
+        sendSse(res, "error", {
+          error: `LLM API error (${llm.name})`,
+          detail: String(first.errText || "").slice(0, 1200),
+        });
+        res.end();
+        return;
+      }
+
+      let result = { answer: first.answer, usage: first.usage, verification: null };
+      if (ctx) {
+        result = await verifyPlanWithRepair({
+          llm, prompt, answer: first.answer, usage: first.usage, ctx, model, maxOut, mode,
+        });
+        if (result.answer !== first.answer) {
+          sendSse(res, "replace", { answer: phi.reidentify(result.answer) });
+        }
+      }
+
+      sendSse(res, "done", envelope({ ...result, model: first.model }));
+      res.end();
+      return;
+    }
 
-    if (!apiResp.ok) {
-      const errText = await apiResp.text();
+    const first = await llm.generate({ prompt, model, maxOutputTokens: maxOut, mode });
+    if (!first.ok) {
       res.status(502).json({
-        error: "OpenAI API error",
-        detail: errText.slice(0, 1200),
+        error: `LLM API error (${llm.name})`,
+        detail: first.errText.slice(0, 1200),
       });
       return;
     }
 
-    const data = await apiResp.json();
-    const answer = data.output_text || data.output?.[0]?.content?.[0]?.text || "";
-    res.status(200).json({ answer });
+    let result = { answer: first.answer, usage: first.usage, verification: null };
+    if (ctx) {
+      result = await verifyPlanWithRepair({
+        llm, prompt, answer: first.answer, usage: first.usage, ctx, model, maxOut, mode,
+      });
+    }
+
+    res.status(200).json(envelope({ ...result, model: first.model }));
   } catch (err) {
     console.error("clinic-ai error:", err);
+    if (res.headersSent) {
+      // already streaming: report in-band
+      sendSse(res, "error", { error: "Server error" });
+      res.end();
+      return;
+    }
     res.status(500).json({ error: "Server error" });
   }
 }
@@ -0,0 +1,54 @@
+// api/dates.js
+// =====================================================
+// Clinic date helpers (NO LLM REQUIRED)
+// Notes and UI fields write dates as 2024/03/02, 2024-03-02, 113/03/02 (ROC year) or 113年3月2日;
+// the engines compare plain ISO "YYYY-MM-DD" strings (lexical order = date order).
+//
+// - DATE_RE: first date in a line (groups: year, month, day)
+// - toIsoDate(y, m, d) → "YYYY-MM-DD" | null   (3-digit year → ROC year + 1911; 2-digit year is
+//   ambiguous — "26/08/01" could be 2026 or ROC 26 — → null)
+// - parseDate(text) → "YYYY-MM-DD" | null      (first date found in text)
+// - addMonths(iso, n) → "YYYY-MM-DD"           (end of month clamps: 11-30 + 3 → 02-28)
+// - todayIso(timeZone) → today in the clinic time zone (Asia/Taipei; Vercel runs in UTC)
+// =====================================================
+
+export const DATE_RE = /\b(\d{2,4})\s*[/\-.年]\s*(\d{1,2})\s*[/\-.月]\s*(\d{1,2})\s*日?/;
+
+function _pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function _daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function toIsoDate(y, m, d) {
+  const digits = String(y).trim().length;
+  if (digits !== 3 && digits !== 4) return null;
+  let year = Number(y);
+  if (digits === 3) year += 1911;
+  const month = Number(m);
+  const day = Number(d);
+  if (month < 1 || month > 12 || day < 1 || day > _daysInMonth(year, month)) return null;
+  return `${year}-${_pad(month)}-${_pad(day)}`;
+}
+
+export function parseDate(text) {
+  const m = typeof text === "string" ? text.match(DATE_RE) : null;
+  return m ? toIsoDate(m[1], m[2], m[3]) : null;
+}
+
+export function addMonths(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const total = y * 12 + (m - 1) + n;
+  const year = Math.floor(total / 12);
+  const month = (total % 12) + 1;
+  return `${year}-${_pad(month)}-${_pad(Math.min(d, _daysInMonth(year, month)))}`;
+}
+
+export function todayIso(timeZone = "Asia/Taipei") {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    new Date()
+  );
+}
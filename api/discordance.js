@@ -0,0 +1,211 @@
+// api/discordance.js
+// =====================================================
+// ESC-versus-NHI discordance (NO LLM REQUIRED)
+// Goal: explain, the same way every time, why "the guideline says treat" and "NHI pays" can differ
+// (e.g. very-high-risk DM with LDL 80: ESC target <55, NHI CVD/DM row starts at LDL ≥100).
+//
+// analyzeDiscordance({ escRisk, nhi, onStatin, doNotInitiate }) → {
+//   status: "agree_treat" | "agree_no_drug" | "guideline_only" | "nhi_only" | "no_initiate" | "insufficient_data",
+//     no_initiate: dosing.doNotInitiate (dialysis without ASCVD, api/statinDosing.js) overrides risk and NHI
+//   selfPay: boolean — guideline-directed drug therapy that NHI will not reimburse now
+//     (onStatin: NHI thresholds are start criteria, so only the intensification beyond the NHI goal is self-pay),
+//   goalGap: { escTarget, nhiGoal } | null — both treat, but the ESC target is below the NHI goal,
+//   esc: { category, ldl, targetMgdl, level: "drug" | "consider" | "lifestyle" | null, evidenceId },
+//   nhi: { category, eligible, eligibleAfter, pendingLifestyleTrial, threshold, goal, evidenceId },
+//     eligibleAfter: NHI threshold met but the mandatory lifestyle trial has not elapsed (api/lifestyleTrial.js)
+//     pendingLifestyleTrial: NHI threshold met but no lifestyle-trial start date documented
+//   explanation: { zh, en },   // patient-facing, deterministic
+//   checklist: [ ... ]         // chart documentation items
+// }
+//
+// ESC level: above the category target (very_high/high) → drug; moderate/low have no numeric target
+// here, so ESC_INTERVENTION (2019 intervention table, operational) decides "consider" vs "drug".
+// =====================================================
+
+// [{ ldlGte, level }] — highest matching row wins; category target (escRisk.ldlTarget) handled first
+export const ESC_INTERVENTION = {
+  moderate: [
+    { ldlGte: 100, level: "consider" },
+    { ldlGte: 190, level: "drug" },
+  ],
+  low: [
+    { ldlGte: 116, level: "consider" },
+    { ldlGte: 190, level: "drug" },
+  ],
+};
+
+const ESC_CATEGORY_ZH = { very_high: "極高風險", high: "高風險", moderate: "中度風險", low: "低風險" };
+const ESC_CATEGORY_EN = { very_high: "very high", high: "high", moderate: "moderate", low: "low" };
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function _escLevel(escRisk, ldl) {
+  if (!_isFiniteNum(ldl)) return null;
+  const target = escRisk?.ldlTarget?.mgdl;
+  if (_isFiniteNum(target)) return ldl >= target ? "drug" : "lifestyle";
+  const rows = ESC_INTERVENTION[escRisk?.category] || [];
+  return rows.filter((r) => ldl >= r.ldlGte).pop()?.level ?? "lifestyle";
+}
+
+function _nhiWho(nhi) {
+  if (nhi.category === "secondary_prevention") return { zh: "次級預防（ACS/PCI/CABG）", en: "secondary prevention (ACS/PCI/CABG)" };
+  if (nhi.category === "cvd_or_dm") return { zh: "心血管疾病或糖尿病", en: "cardiovascular disease or diabetes" };
+  return {
+    zh: `初級預防、${nhi.riskFactorCount ?? 0} 個危險因子`,
+    en: `primary prevention with ${nhi.riskFactorCount ?? 0} risk factor(s)`,
+  };
+}
+
+export function analyzeDiscordance({ escRisk, nhi, onStatin = false, doNotInitiate = false } = {}) {
+  const ldl = _isFiniteNum(nhi?.ldl_mgdl) ? nhi.ldl_mgdl : null;
+  const category = escRisk?.category ?? null;
+  const level = _escLevel(escRisk, ldl);
+  const targetMgdl = escRisk?.ldlTarget?.mgdl ?? null;
+  const eligible = nhi?.eligible === true;
+  const threshold = nhi?.startThreshold ?? null;
+  const who = _nhiWho(nhi || {});
+
+  const result = {
+    status: "insufficient_data",
+    selfPay: false,
+    goalGap: null,
+    esc: { category, ldl, targetMgdl, level, evidenceId: escRisk?.ldlTarget?.evidenceId ?? null },
+    nhi: {
+      category: nhi?.category ?? null,
+      eligible: nhi?.eligible ?? null,
+      eligibleAfter: nhi?.eligibleAfter ?? null,
+      pendingLifestyleTrial: nhi?.pendingLifestyleTrial === true,
+      threshold,
+      goal: nhi?.goal ?? null,
+      evidenceId: nhi?.evidenceId ?? null,
+    },
+    explanation: { zh: "", en: "" },
+    checklist: [],
+  };
+
+  const catZh = ESC_CATEGORY_ZH[category] ?? "未知風險";
+  const catEn = ESC_CATEGORY_EN[category] ?? "unknown";
+  const escTargetZh = targetMgdl ? `目標 LDL-C <${targetMgdl} mg/dL` : "此風險等級無固定 LDL-C 目標";
+  const escTargetEn = targetMgdl ? `target LDL-C <${targetMgdl} mg/dL` : "no fixed LDL-C target at this risk level";
+  const nhiRuleZh = nhi?.evidenceId ? `健保在您的情況（${who.zh}）給付條件為 ${threshold}` : `健保對${who.zh}沒有降血脂藥給付條件`;
+  const nhiRuleEn = nhi?.evidenceId
+    ? `Taiwan NHI reimburses in your situation (${who.en}) when ${threshold}`
+    : `Taiwan NHI has no lipid-lowering reimbursement criterion for ${who.en}`;
+  const trialMonths = nhi?.lifestyleTrial?.minMonths;
+  const nhiNotMetZh = nhi?.eligibleAfter
+    ? `${nhiRuleZh}，您的數值已達標準，但健保要求先做滿 ${trialMonths} 個月生活型態調整，${nhi.eligibleAfter} 後才可給付`
+    : nhi?.pendingLifestyleTrial
+      ? `${nhiRuleZh}，您的數值已達標準，但健保要求先做滿 ${trialMonths} 個月生活型態調整，病歷尚未記錄開始日期，記錄並做滿後才可給付`
+      : nhi?.evidenceId
+      ? `${nhiRuleZh}，目前未達標準`
+      : nhiRuleZh;
+  const nhiNotMetEn = nhi?.eligibleAfter
+    ? `${nhiRuleEn}, which your values meet, but NHI requires ${trialMonths} months of lifestyle therapy first, so coverage starts after ${nhi.eligibleAfter}`
+    : nhi?.pendingLifestyleTrial
+      ? `${nhiRuleEn}, which your values meet, but NHI requires ${trialMonths} months of lifestyle therapy first and no start date is on record, so coverage starts only once that is documented`
+      : nhi?.evidenceId
+      ? `${nhiRuleEn}, which is not met now`
+      : nhiRuleEn;
+
+  if (level === null) {
+    result.explanation = {
+      zh: "目前沒有 LDL-C 數值，無法比較指引建議與健保給付；請先抽血檢查血脂。",
+      en: "No LDL-C value is available, so guideline advice and NHI coverage cannot be compared yet; a lipid panel is needed first.",
+    };
+    result.checklist.push("Order / record a lipid panel (LDL-C, TC, HDL-C, TG) with date and fasting status.");
+    return result;
+  }
+
+  const escDrug = level === "drug";
+  if (doNotInitiate) {
+    result.status = "no_initiate";
+    result.explanation = {
+      zh: `您正在洗腎且沒有動脈硬化性心血管疾病；依 ESC 指引此情況不建議開始使用 statin（即使${catZh}、LDL-C ${ldl} mg/dL），健保是否給付不影響此建議。`,
+      en: `You are on dialysis without atherosclerotic cardiovascular disease; ESC guidance does not recommend starting a statin in this situation (even at ${catEn} risk with LDL-C ${ldl} mg/dL), whatever NHI would cover.`,
+    };
+  } else if (escDrug && eligible) {
+    result.status = "agree_treat";
+    result.explanation = {
+      zh: `依 ESC/EAS 指引您屬於${catZh}（${escTargetZh}），LDL-C ${ldl} mg/dL 建議用藥；${nhiRuleZh}，您已符合，藥費由健保給付。`,
+      en: `By ESC/EAS guidance your cardiovascular risk is ${catEn} (${escTargetEn}) and LDL-C ${ldl} mg/dL warrants medication; ${nhiRuleEn}, which you meet, so the medication is NHI-covered.`,
+    };
+    if (_isFiniteNum(targetMgdl) && _isFiniteNum(nhi?.goal_mgdl) && targetMgdl < nhi.goal_mgdl) {
+      result.goalGap = { escTarget: targetMgdl, nhiGoal: nhi.goal_mgdl };
+      result.explanation.zh += `健保治療目標為 LDL-C <${nhi.goal_mgdl}，指引目標更低（<${targetMgdl}）；若需加藥才能達到指引目標，額外藥物可能需自費。`;
+      result.explanation.en += ` The NHI goal is LDL-C <${nhi.goal_mgdl} while the guideline target is lower (<${targetMgdl}); add-on therapy needed only to reach the guideline target may be self-paid.`;
+    }
+  } else if (escDrug && onStatin) {
+    result.status = "guideline_only";
+    result.selfPay = true;
+    result.explanation = {
+      zh: `您目前已在使用 statin；依 ESC/EAS 指引您屬於${catZh}（${escTargetZh}），LDL-C ${ldl} mg/dL 仍建議加強治療；${nhi?.goal ? `健保治療目標為 ${nhi.goal}，` : ""}為達指引目標而增加的藥物可能需自費。`,
+      en: `You are already on a statin; by ESC/EAS guidance your cardiovascular risk is ${catEn} (${escTargetEn}) and LDL-C ${ldl} mg/dL still warrants intensification${nhi?.goal ? `; the NHI goal is ${nhi.goal}` : ""}, so therapy added only to reach the guideline target may be self-paid.`,
+    };
+  } else if (escDrug) {
+    result.status = "guideline_only";
+    result.selfPay = true;
+    result.explanation = {
+      zh: `依 ESC/EAS 指引您屬於${catZh}（${escTargetZh}），LDL-C ${ldl} mg/dL 建議用藥；但${nhiNotMetZh}，用藥需自費。若選擇不自費，先以飲食、運動、體重控制並定期追蹤血脂。`,
+      en: `By ESC/EAS guidance your cardiovascular risk is ${catEn} (${escTargetEn}) and LDL-C ${ldl} mg/dL warrants medication; however ${nhiNotMetEn}, so medication would be self-paid. Without self-pay, we start with diet, exercise and weight control and recheck lipids.`,
+    };
+  } else if (eligible) {
+    result.status = "nhi_only";
+    result.explanation = {
+      zh: `${nhiRuleZh}，您已符合，可由健保給付用藥；但依 ESC/EAS 指引您屬於${catZh}，LDL-C ${ldl} mg/dL ${level === "consider" ? "可先調整生活型態，控制不佳再考慮用藥" : "以生活型態調整為主"}。是否用藥請與醫師共同決定。`,
+      en: `${nhiRuleEn}, which you meet, so medication would be NHI-covered; but by ESC/EAS guidance your risk is ${catEn} and LDL-C ${ldl} mg/dL ${level === "consider" ? "calls for lifestyle change first, with medication if it stays uncontrolled" : "is managed mainly with lifestyle change"}. Whether to start medication is a shared decision.`,
+    };
+  } else {
+    result.status = "agree_no_drug";
+    result.explanation = {
+      zh: `依 ESC/EAS 指引您屬於${catZh}，LDL-C ${ldl} mg/dL 目前以生活型態調整為主${level === "consider" ? "（控制不佳時可考慮用藥，屆時若未達健保標準需自費）" : ""}；${nhiNotMetZh}。`,
+      en: `By ESC/EAS guidance your risk is ${catEn} and LDL-C ${ldl} mg/dL is managed with lifestyle change for now${level === "consider" ? " (medication may be considered if it stays uncontrolled, self-paid unless NHI criteria are met then)" : ""}; ${nhiNotMetEn}.`,
+    };
+  }
+
+  // ---- documentation checklist (chart items the claim / audit will look for) ----
+  const c = result.checklist;
+  c.push(`LDL-C ${ldl} mg/dL with test date${nhi?.tc_mgdl ? ` (TC ${nhi.tc_mgdl} mg/dL)` : ""}.`);
+  c.push(`ESC risk category ${category} and its basis (${(escRisk?.reasons?.[0] ?? "see risk reasons").replace(/\.$/, "")}).`);
+  if (nhi?.category === "primary_prevention") {
+    const matched = (nhi.matchedRiskFactors || []).map((x) => x.label).join(", ") || "none";
+    c.push(`Each NHI risk factor documented explicitly (${nhi.riskFactorCount ?? 0}: ${matched}); undocumented HTN / smoking / FH / low HDL lowers the NHI row.`);
+  }
+  if (nhi?.category === "cvd_or_dm") c.push("NHI CVD/DM basis documented (diagnosis, date, supporting test).");
+  if (nhi?.category === "secondary_prevention") c.push("ACS / PCI / CABG documented with date.");
+
+  if (result.status === "no_initiate") {
+    c.push("Dialysis without ASCVD documented → statin not initiated (ESC2019_CKD_DIALYSIS_NO_INITIATE).");
+  } else if (result.status === "guideline_only" && onStatin) {
+    c.push("Current statin, dose and adherence documented (NHI start threshold does not apply to ongoing therapy).");
+    c.push("Self-pay intensification (higher dose / ezetimibe) discussed; patient choice recorded.");
+  } else if (result.status === "guideline_only") {
+    c.push(
+      `Patient informed NHI does not reimburse ${nhi?.eligibleAfter ? `before ${nhi.eligibleAfter}` : nhi?.pendingLifestyleTrial ? "until the lifestyle trial is documented" : "at this LDL-C"}; self-pay vs lifestyle-only choice recorded.`
+    );
+    c.push("Lifestyle counselling (diet, exercise, weight, smoking) documented.");
+    if (nhi?.evidenceId) c.push(`Recheck lipids and re-evaluate NHI eligibility (${threshold}; ${nhi.evidenceId}).`);
+  } else if (result.status === "nhi_only") {
+    c.push(`NHI criterion met: ${threshold} (${nhi.evidenceId}).`);
+    c.push("Shared decision documented: ESC risk is lower — reason for starting (or deferring) medication.");
+  } else if (result.status === "agree_treat") {
+    c.push(`NHI criterion met: ${threshold} (${nhi.evidenceId}).`);
+    if (result.goalGap) c.push(`Both goals recorded: NHI <${result.goalGap.nhiGoal} mg/dL, ESC <${result.goalGap.escTarget} mg/dL; self-pay add-on discussed if needed.`);
+  } else {
+    c.push("Lifestyle counselling documented; lipid recheck planned.");
+  }
+  const trial = nhi?.lifestyleTrialProgress;
+  if (trial?.startDate) {
+    c.push(
+      `Lifestyle-trial start ${trial.startDate} on file (${trial.source}); ` +
+        (trial.status === "completed" ? `≥${trial.minMonths} months completed.` : `${trial.minMonths}-month trial completes ${trial.eligibleAfter}.`)
+    );
+  } else if (
+    nhi?.lifestyleTrial &&
+    (nhi.pendingLifestyleTrial || !["agree_no_drug", "no_initiate"].includes(result.status))
+  ) {
+    c.push(`Lifestyle-trial start date (NHI requires ${nhi.lifestyleTrial.minMonths}–${nhi.lifestyleTrial.maxMonths} months before NHI-covered drug therapy).`);
+  }
+  return result;
+}
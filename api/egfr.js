@@ -0,0 +1,62 @@
+// api/egfr.js
+// =====================================================
+// eGFR from serum creatinine — CKD-EPI 2021 (race-free) (NO LLM REQUIRED)
+// Goal: notes carry creatinine, not eGFR; the ESC CKD branches (eGFR <30 very-high, 30–59 high)
+// should not depend on the physician typing eGFR by hand.
+//
+// eGFR = 142 × min(Scr/κ, 1)^α × max(Scr/κ, 1)^−1.200 × 0.9938^age × 1.012 [female]
+//   κ = 0.7 (F) / 0.9 (M);  α = −0.241 (F) / −0.302 (M);  Scr in mg/dL
+// Inker LA et al. NEJM 2021;385:1737
+//
+// calculateEgfr({ creatinine, age, sex }) →
+//   { value, equation, calculated: true, valid, inputs, derivation, note }
+//   value = mL/min/1.73m² rounded to integer; null (+ note) when an input is missing
+// =====================================================
+
+export const CKD_EPI_2021 = {
+  F: { kappa: 0.7, alpha: -0.241, sexFactor: 1.012 },
+  M: { kappa: 0.9, alpha: -0.302, sexFactor: 1 },
+};
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+export function calculateEgfr({ creatinine = null, age = null, sex = null } = {}) {
+  const result = {
+    value: null,
+    equation: "CKD-EPI 2021",
+    calculated: true,
+    valid: false,
+    inputs: { creatinine, age, sex },
+    derivation: null,
+    note: null,
+  };
+
+  const k = CKD_EPI_2021[sex];
+  const missing = [
+    _isFiniteNum(creatinine) && creatinine > 0 ? null : "creatinine",
+    _isFiniteNum(age) ? null : "age",
+    k ? null : "sex",
+  ].filter(Boolean);
+  if (missing.length) {
+    result.note = `eGFR not calculated: missing ${missing.join("/")}.`;
+    return result;
+  }
+  // CKD-EPI was derived in adults; pediatric eGFR needs a different equation
+  if (age < 18) {
+    result.note = "eGFR not calculated: CKD-EPI 2021 is validated for age ≥18 only.";
+    return result;
+  }
+
+  const r = creatinine / k.kappa;
+  const egfr =
+    142 * Math.min(r, 1) ** k.alpha * Math.max(r, 1) ** -1.2 * 0.9938 ** age * k.sexFactor;
+
+  result.value = Math.round(egfr);
+  result.valid = true;
+  result.derivation =
+    `eGFR (CKD-EPI 2021) = ${result.value} mL/min/1.73m² ` +
+    `from creatinine ${creatinine} mg/dL, age ${age}, ${sex === "F" ? "female" : "male"}`;
+  return result;
+}
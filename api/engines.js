@@ -0,0 +1,264 @@
+// api/engines.js
+// =====================================================
+// Deterministic rule engines (NO LLM REQUIRED)
+// Shared by:
+// - api/clinic-ai.js (plan mode prompt building)
+// - api/risk.js, api/nhi.js (standalone JSON endpoints)
+//
+// runRuleEngines({ patient, soap, lipidHistory, freeNote }) →
+//   { patientState, score2, fh, escRisk, nhi, nhiTg, discordance, sams, dosing, interactions, formulary,
+//     statinSuggestion, ldlTracking }
+//   score2: SCORE2 / SCORE2-OP (api/score2.js) for apparently healthy patients; region = patient.score2Region
+//   fh: DLCN score (api/fhScore.js); definite/probable raises the ESC category
+//   discordance: ESC vs NHI comparison + bilingual explanation + chart checklist (api/discordance.js);
+//     computed after dosing so a dialysis "do not initiate" is never explained as "treat"
+//   sams: statin intolerance (api/statinIntolerance.js); statinSuggestion.options already SAMS-adjusted
+//   dosing: eGFR / dialysis / Asian-ancestry caps (api/statinDosing.js); ancestry = patient.asianAncestry
+//   interactions: interacting medications + pregnancy/lactation (api/statinInteractions.js)
+//   formulary: clinic formulary in use (api/formulary.js; CLINIC_FORMULARY env)
+//   statinSuggestion: ESC dose table → SAMS → dosing → interactions → formulary (what buildPlanPrompt receives)
+//   lipidHistory: structured array (wins) | freeNote: pasted dated panels (see api/lipidHistory.js);
+//     freeNote / SOAP / patient.lifestyleStartDate also give the NHI lifestyle-trial start (api/lifestyleTrial.js)
+//   ldlTracking: null when no dated lipid panel is available
+// =====================================================
+
+import { escEas2025RiskStratify } from "./escRisk.js";
+import {
+  getNhiEligibility,
+  getNhiTgEligibility,
+  escStatinDoseSuggestion,
+  ASCVD_CONDITIONS,
+} from "./lipidEvidence.js";
+import {
+  buildPatientState,
+  toEscPatient,
+  toNhiPatient,
+  validatePatientInput,
+} from "./patientState.js";
+import { parseLipidHistory, normalizeLipidHistory, trackLdlTargets } from "./lipidHistory.js";
+import { calculateScore2, defaultScore2Region, SCORE2_REGIONS } from "./score2.js";
+import { scoreDlcn } from "./fhScore.js";
+import { assessStatinIntolerance, applyStatinIntolerance } from "./statinIntolerance.js";
+import { assessStatinDosing, applyStatinDosing, defaultAsianAncestry } from "./statinDosing.js";
+import { checkStatinInteractions, applyStatinInteractions } from "./statinInteractions.js";
+import { getFormulary, constrainToFormulary } from "./formulary.js";
+import { analyzeDiscordance } from "./discordance.js";
+
+// SCORE2 is for apparently healthy people: ASCVD / DM / CKD / FH are categorised directly by the stratifier
+function _score2For(patientState, region, dlcn = null) {
+  const v = patientState.values;
+  const excluded = [
+    v.ascvd ? "ASCVD" : null,
+    v.diabetes ? "diabetes" : null,
+    typeof v.egfr === "number" && v.egfr < 60 ? "CKD (eGFR <60)" : null,
+    v.dialysis || v.esrd ? "kidney failure (dialysis / ESRD)" : null,
+    dlcn?.fhLikely ? `FH (DLCN ${dlcn.category})` : null,
+  ].filter(Boolean);
+  if (excluded.length) {
+    return {
+      applicable: false,
+      model: null,
+      region,
+      riskPercent: null,
+      category: null,
+      note: `SCORE2 not applicable: ${excluded.join(", ")} → risk category set by that condition.`,
+    };
+  }
+  return calculateScore2({
+    age: v.age,
+    sex: v.sex,
+    smoking: v.smoking,
+    sbp: v.sbp,
+    tc: v.tc,
+    hdl: v.hdl,
+    diabetes: v.diabetes,
+    region,
+  });
+}
+
+// DLCN wants the untreated LDL: highest LDL documented as untreated in the history, else the current one
+function _dlcnFor(patientState, history) {
+  const v = patientState.values;
+  const untreated = history
+    .filter((e) => e.onTherapy === false && typeof e.ldl === "number")
+    .sort((a, b) => b.ldl - a.ldl)[0];
+  const latest = history.filter((e) => typeof e.ldl === "number").slice(-1)[0];
+  const inTerritory = (...t) => ASCVD_CONDITIONS.some((c) => t.includes(c.territory) && v[c.key]);
+  const cerebralOrPeripheral = inTerritory("cerebral", "peripheral");
+  // UI-ticked ASCVD without a specific non-coronary condition is read as coronary
+  const coronary = v.hasACS || v.hasPCI || v.hasCABG || inTerritory("coronary") || (v.ascvd && !cerebralOrPeripheral);
+
+  return scoreDlcn({
+    age: v.age,
+    sex: v.sex,
+    ldl: untreated ? untreated.ldl : v.ldl,
+    ldlSource: untreated ? `lipid history ${untreated.date} (untreated)` : patientState.provenance.ldl?.label ?? null,
+    ldlOnTreatment: untreated ? false : latest?.onTherapy ?? null,
+    coronaryDisease: !!coronary,
+    cerebralOrPeripheralDisease: cerebralOrPeripheral,
+    tendonXanthoma: v.tendonXanthoma,
+    arcusCornealis: v.arcusCornealis,
+    familyHistoryPrematureASCVD: v.familyHistoryPrematureASCVD,
+    familyHistoryHighLdl: v.familyHistoryHighLdl,
+    familyHistoryXanthoma: v.familyHistoryXanthoma,
+    fhMutation: v.fhMutation,
+    lpaMeasured: v.lpa !== null && v.lpa !== undefined,
+  });
+}
+
+export function runRuleEngines({ patient = {}, soap = "", lipidHistory = null, freeNote = "" } = {}) {
+  // ✅ 單一 PatientState：UI 欄位 + SOAP 擷取合併（含 provenance / conflicts）
+  // ESC 與 NHI 兩個 engine 都只吃這一份，避免兩邊看到不同病人
+  const patientState = buildPatientState({ body: patient, soap, freeNote });
+
+  // ✅ NHI auto-check (table-driven: secondary / CVD-or-DM / primary by RF count → evidenceId)
+  // primary-prevention rows: lifestyle trial not yet elapsed → eligible false + eligibleAfter;
+  // no start date documented → eligible false + pendingLifestyleTrial
+  const nhiPatient = toNhiPatient(patientState);
+  const nhi = getNhiEligibility(nhiPatient);
+  nhi.reminders.push(...patientState.reminders);
+
+  // ✅ NHI TG-lowering (fibrate / omega-3) auto-check
+  const nhiTg = getNhiTgEligibility(nhiPatient);
+
+  const history = Array.isArray(lipidHistory) && lipidHistory.length
+    ? normalizeLipidHistory(lipidHistory)
+    : parseLipidHistory(freeNote);
+
+  const region = SCORE2_REGIONS.includes(patient.score2Region) ? patient.score2Region : defaultScore2Region();
+  const fh = _dlcnFor(patientState, history);
+  const score2 = _score2For(patientState, region, fh);
+  const escRisk = escEas2025RiskStratify(toEscPatient(patientState, { score2, dlcn: fh }));
+
+  const dose = escStatinDoseSuggestion?.[escRisk.category] || null;
+  // ✅ SAMS pathway: intolerance steps the dose suggestion down (never back to the failed statin/dose)
+  const sams = assessStatinIntolerance(patientState);
+  const samsSuggestion = applyStatinIntolerance(
+    dose ? { category: escRisk.category, goal: dose.goal, options: dose.options } : null,
+    sams,
+    { moderateOptions: escStatinDoseSuggestion.moderate.options }
+  );
+  // ✅ Renal function / dialysis / Asian ancestry: cap the dose bands, explain each change
+  const asianAncestry =
+    typeof patient.asianAncestry === "boolean" ? patient.asianAncestry : defaultAsianAncestry();
+  const dosing = assessStatinDosing(patientState, { asianAncestry });
+  const dosedSuggestion = applyStatinDosing(samsSuggestion, dosing);
+  // ✅ Guideline says treat vs NHI pays: one deterministic explanation for the patient and the chart
+  const onStatin = (patientState.statinsTried || []).some((x) => !x.intolerant);
+  const discordance = analyzeDiscordance({ escRisk, nhi, onStatin, doNotInitiate: dosing.doNotInitiate });
+  // ✅ Drug interactions / pregnancy: drop avoided statins, cap doses, annotate monitor items
+  const interactions = checkStatinInteractions(patientState);
+  // ✅ Formulary: only stocked tablet strengths (with NHI codes) reach the prompt / UI
+  const formulary = getFormulary();
+  const statinSuggestion = constrainToFormulary(applyStatinInteractions(dosedSuggestion, interactions), formulary);
+
+  // ✅ Baseline-aware target tracking (ESC absolute + % reduction, NHI goal, escalation)
+  const ldlTracking = history.length
+    ? trackLdlTargets({ history, escRisk, nhi, currentLdl: patientState.values.ldl })
+    : null;
+
+  return {
+    patientState,
+    score2,
+    fh,
+    escRisk,
+    nhi,
+    nhiTg,
+    discordance,
+    sams,
+    dosing,
+    interactions,
+    formulary,
+    statinSuggestion,
+    ldlTracking,
+  };
+}
+
+// -------------------------
+// HTTP wrapper for the standalone engine endpoints
+// -------------------------
+// Request body (JSON):
+//   { "patient": { age, sex, ascvd, diabetes, ldl, egfr, ..., lipidUnit: "mg/dL" | "mmol/L" },
+//     "soap": "optional SOAP text",
+//     "lipidHistory": [{ date, ldl, tc, hdl, tg, onTherapy, therapy }], "freeNote": "pasted panels" }
+// At least one of patient/soap is required.
+//
+// Error codes:
+//   METHOD_NOT_ALLOWED (405), INVALID_JSON / INVALID_BODY / MISSING_INPUT / INVALID_PATIENT (400),
+//   SERVER_ERROR (500)
+function sendError(res, status, code, error, details) {
+  res.status(status).json(details ? { error, code, details } : { error, code });
+}
+
+export function createEngineEndpoint(buildResponse) {
+  return async function handler(req, res) {
+    // CORS
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.status(200).end();
+      return;
+    }
+    if (req.method !== "POST") {
+      sendError(res, 405, "METHOD_NOT_ALLOWED", "Method not allowed");
+      return;
+    }
+
+    try {
+      let body = req.body ?? {};
+      if (typeof body === "string") {
+        try {
+          body = JSON.parse(body || "{}");
+        } catch {
+          sendError(res, 400, "INVALID_JSON", "Request body is not valid JSON");
+          return;
+        }
+      }
+      if (typeof body !== "object" || Array.isArray(body) || body === null) {
+        sendError(res, 400, "INVALID_BODY", "Request body must be a JSON object");
+        return;
+      }
+
+      const soap = typeof body.soap === "string" ? body.soap : "";
+      const patient = body.patient ?? {};
+
+      if (body.soap !== undefined && typeof body.soap !== "string") {
+        sendError(res, 400, "INVALID_BODY", "'soap' must be a string");
+        return;
+      }
+      if (typeof patient !== "object" || Array.isArray(patient) || patient === null) {
+        sendError(res, 400, "INVALID_BODY", "'patient' must be a JSON object");
+        return;
+      }
+      if (body.lipidHistory !== undefined && !Array.isArray(body.lipidHistory)) {
+        sendError(res, 400, "INVALID_BODY", "'lipidHistory' must be an array");
+        return;
+      }
+      if (body.freeNote !== undefined && typeof body.freeNote !== "string") {
+        sendError(res, 400, "INVALID_BODY", "'freeNote' must be a string");
+        return;
+      }
+      if (!soap.trim() && Object.keys(patient).length === 0) {
+        sendError(res, 400, "MISSING_INPUT", "Provide 'patient' fields and/or 'soap' text");
+        return;
+      }
+
+      const errors = validatePatientInput(patient);
+      if (errors.length) {
+        sendError(res, 400, "INVALID_PATIENT", "Invalid patient fields", errors);
+        return;
+      }
+
+      res.status(200).json(
+        buildResponse(
+          runRuleEngines({ patient, soap, lipidHistory: body.lipidHistory, freeNote: body.freeNote })
+        )
+      );
+    } catch (err) {
+      console.error("engine endpoint error:", err);
+      sendError(res, 500, "SERVER_ERROR", "Server error");
+    }
+  };
+}
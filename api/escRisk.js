@@ -9,20 +9,27 @@
 // - category: "very_high" | "high" | "moderate" | "low" | "unknown"
 // - reasons: string[]
 // - ldlTarget: { mgdl: number|null, percentReduction: number|null, evidenceId: string|null }
+// - riskEnhancers: [{ factor, display, evidenceId, note }] — reported only, NEVER change category
+// - enhancerReminders: string[] (Lp(a) measure-once / post-menopause re-measure)
+// - lpaDecisionGuard: string|null (ESC2025_LPA_DECISION_GUARD: low/moderate risk + elevated Lp(a))
 //
-// NOTE: If you later add SCORE2/SCORE2-OP numbers, you can plug them in here.
+// SCORE2 / SCORE2-OP come from api/score2.js (patient.score2 / patient.score2RiskCategory, see below).
 // =====================================================
 
+import { lpaStatus } from "./labUnits.js";
+
 function isFiniteNum(x) {
   return typeof x === "number" && Number.isFinite(x);
 }
 
 function toNum(x) {
+  // null/"" must stay "not provided" (Number(null) === 0 would read as eGFR 0)
+  if (x === null || x === undefined || x === "") return null;
   const n = typeof x === "string" ? Number(x.trim()) : Number(x);
   return Number.isFinite(n) ? n : null;
 }
 
-export function escEas2025RiskStratify(patient = {}) {
+function _escCategory(patient) {
   // ---------------------------
   // Expected inputs (boolean/number):
   // patient.ascvd: established ASCVD (MI/ACS/PCI/CABG/stroke/TIA/PAD, etc.)
@@ -31,10 +38,16 @@ export function escEas2025RiskStratify(patient = {}) {
   // patient.dmMajorRiskFactorCount: number (major RF count in DM context)
   // patient.t1dmLongDuration: true/false (e.g., >20y; optional)
   // patient.ckdEgfr: number
+  // patient.ckdEgfrSource: provenance label, e.g. "Calculated (CKD-EPI 2021)" (optional, shown in reasons)
+  // patient.kidneyFailure: dialysis / ESRD → treated as eGFR <15 whatever eGFR says (or when none is reported)
   // patient.sbp: number (office SBP)
   // patient.ldl: number (mg/dL)
-  // patient.fh: familial hypercholesterolemia (true/false) (optional)
-  // patient.score2RiskCategory: "very_high"|"high"|"moderate"|"low" (optional)
+  // patient.fh: familial hypercholesterolemia (true/false) (optional) — DLCN definite/probable
+  // patient.fhDlcn: scoreDlcn() result (api/fhScore.js) — shown in reasons; "possible" only annotates
+  // patient.score2RiskCategory: "very_high"|"high"|"low_moderate"|"moderate"|"low" (optional)
+  // patient.score2: calculateScore2() result (api/score2.js) — shown in reasons (optional)
+  // patient.lpa / patient.lpaUnit: Lp(a) value + "mg/dL" | "nmol/L" — risk enhancer only (see below)
+  // patient.age / patient.sex: only for the post-menopause Lp(a) re-measure reminder
   // ---------------------------
 
   const reasons = [];
@@ -53,13 +66,26 @@ export function escEas2025RiskStratify(patient = {}) {
   const ldl = toNum(patient.ldl);
 
   const fh = !!patient.fh;
+  const dlcn = patient.fhDlcn || null;
+  const fhLabel = dlcn ? `FH (DLCN ${dlcn.category}, ${dlcn.score} points)` : "Familial hypercholesterolemia";
+  // ESC: FH with ASCVD or another major risk factor → very high (ASCVD already handled above)
+  const fhMajorRF = [
+    patient.hypertension ? "hypertension" : null,
+    patient.smoking ? "smoking" : null,
+    diabetes ? "diabetes" : null,
+  ].filter(Boolean);
 
   // If caller already computed SCORE2 category, honor it (highest wins)
   const score2 = patient.score2RiskCategory || null;
+  const score2Detail = patient.score2?.applicable ? patient.score2 : null;
+  const score2Reason = (category) =>
+    score2Detail ? `${score2Detail.derivation}.` : `Caller-provided SCORE2 category = ${category}.`;
 
   // Helper: classify CKD
-  const severeCKD = isFiniteNum(egfr) && egfr < 30;
+  const kidneyFailure = !!patient.kidneyFailure;
+  const severeCKD = kidneyFailure || (isFiniteNum(egfr) && egfr < 30);
   const moderateCKD = isFiniteNum(egfr) && egfr >= 30 && egfr <= 59;
+  const egfrNote = patient.ckdEgfrSource ? ` [eGFR ${egfr}, ${patient.ckdEgfrSource}]` : "";
 
   // Helper: "markedly elevated single risk factor" (engineering thresholds)
   // Typical examples used in ESC tables: SBP >= 180 or LDL >= 190.
@@ -80,7 +106,11 @@ export function escEas2025RiskStratify(patient = {}) {
   }
 
   if (severeCKD) {
-    reasons.push("Severe CKD (eGFR <30) → very-high risk.");
+    reasons.push(
+      kidneyFailure
+        ? "Kidney failure (dialysis / ESRD, eGFR <15) → very-high risk."
+        : `Severe CKD (eGFR <30) → very-high risk.${egfrNote}`
+    );
     return {
       category: "very_high",
       reasons,
@@ -98,9 +128,18 @@ export function escEas2025RiskStratify(patient = {}) {
     };
   }
 
+  if (fh && fhMajorRF.length) {
+    reasons.push(`${fhLabel} with another major risk factor (${fhMajorRF.join(", ")}) → very-high risk.`);
+    return {
+      category: "very_high",
+      reasons,
+      ldlTarget: { mgdl: 55, percentReduction: 50, evidenceId: "ESC2025_LDL_VERY_HIGH_RISK" },
+    };
+  }
+
   // SCORE2 override (if provided)
   if (score2 === "very_high") {
-    reasons.push("Caller-provided SCORE2 category = very_high.");
+    reasons.push(score2Reason("very_high"));
     return {
       category: "very_high",
       reasons,
@@ -112,7 +151,7 @@ export function escEas2025RiskStratify(patient = {}) {
   // 2) HIGH RISK
   // =====================================================
   if (moderateCKD) {
-    reasons.push("Moderate CKD (eGFR 30–59) → high risk.");
+    reasons.push(`Moderate CKD (eGFR 30–59) → high risk.${egfrNote}`);
     return {
       category: "high",
       reasons,
@@ -120,6 +159,16 @@ export function escEas2025RiskStratify(patient = {}) {
     };
   }
 
+  // SCORE2 does not apply to FH (genetic lifetime exposure) → high without another major RF
+  if (fh) {
+    reasons.push(`${fhLabel} without ASCVD or another major risk factor → high risk.`);
+    return {
+      category: "high",
+      reasons,
+      ldlTarget: { mgdl: 70, percentReduction: 50, evidenceId: "ESC2025_LDL_HIGH_RISK" },
+    };
+  }
+
   if (markedlyHighSBP || markedlyHighLDL) {
     if (markedlyHighSBP) reasons.push("Markedly elevated SBP (≥180 mmHg) → high risk.");
     if (markedlyHighLDL) reasons.push("Markedly elevated LDL-C (≥190 mg/dL) → high risk.");
@@ -142,7 +191,7 @@ export function escEas2025RiskStratify(patient = {}) {
   }
 
   if (score2 === "high") {
-    reasons.push("Caller-provided SCORE2 category = high.");
+    reasons.push(score2Reason("high"));
     return {
       category: "high",
       reasons,
@@ -161,17 +210,21 @@ export function escEas2025RiskStratify(patient = {}) {
     (!!patient.familyHistoryPrematureASCVD) ||
     (!!patient.obesity) ||
     (!!patient.metabolicSyndrome);
-// === ESC 2025: Lp(a) is a risk-enhancing factor ONLY ===
-  // Guard: Lp(a) missing or not measured must NOT influence risk category
-if (patient.lpa === null || patient.lpa === undefined) {
-  // explicitly do nothing
-}
-// Do NOT allow Lp(a) to reclassify risk category
-// (Handled in treatment decision, not risk stratification)
+  // Lp(a) is a risk-enhancing factor ONLY → reported by _riskEnhancers(), never reclassifies here
+
+  // SCORE2 below the age-specific "high" threshold → low-to-moderate; RF present → moderate
+  if (score2Detail && (score2 === "low_moderate" || score2 === "moderate" || score2 === "low")) {
+    reasons.push(`${score2Detail.derivation}.`);
+  }
 
-  if (hasSomeRF || fh) {
-    if (fh) reasons.push("Possible familial hypercholesterolemia noted (needs confirmation).");
-    reasons.push("No very-high/high ESC features detected → treat as moderate risk by default; consider lifetime risk & shared decision.");
+  const fhPossible = dlcn?.category === "possible";
+  if (hasSomeRF || fhPossible) {
+    if (fhPossible) reasons.push(`${fhLabel} → possible FH, needs confirmation (does not change the category).`);
+    reasons.push(
+      score2Detail
+        ? "Risk factor(s) present with low-to-moderate SCORE2 → moderate risk; consider lifetime risk & shared decision."
+        : "No very-high/high ESC features detected → treat as moderate risk by default; consider lifetime risk & shared decision."
+    );
     return {
       category: "moderate",
       reasons,
@@ -179,10 +232,58 @@ if (patient.lpa === null || patient.lpa === undefined) {
     };
   }
 
-  reasons.push("No major ESC very-high/high features detected → low risk by default.");
+  reasons.push(
+    score2Detail
+      ? "No major ESC very-high/high features and low-to-moderate SCORE2 → low risk."
+      : "No major ESC very-high/high features detected → low risk by default."
+  );
   return {
     category: "low",
     reasons,
     ldlTarget: { mgdl: null, percentReduction: null, evidenceId: null },
   };
 }
+
+// ----------------------------------------------------
+// Risk enhancers (ESC 2025): reported next to the category, never change it
+// ----------------------------------------------------
+// ESC2025_LPA_RISK_ENHANCER: Lp(a) >50 mg/dL (≥105 nmol/L); ESC2025_LPA_NOTE_NO_RECLASS: no reclassification
+// ESC2025_LPA_DECISION_GUARD: low/moderate risk without ASCVD → elevated Lp(a) alone does not start a statin
+function _riskEnhancers(patient, category) {
+  const lpa = lpaStatus({ value: toNum(patient.lpa), unit: patient.lpaUnit ?? null });
+  const riskEnhancers = [];
+  const enhancerReminders = [];
+  let lpaDecisionGuard = null;
+
+  if (lpa.value === null) {
+    enhancerReminders.push("Lp(a) not measured → measure at least once in a lifetime (ESC2025_LPA_MEASURE_ONCE).");
+  } else if (lpa.elevated) {
+    riskEnhancers.push({
+      factor: "Lp(a)",
+      display: lpa.display,
+      evidenceId: "ESC2025_LPA_RISK_ENHANCER",
+      note: "Risk-enhancing factor; does not by itself reclassify the ESC risk category (ESC2025_LPA_NOTE_NO_RECLASS).",
+    });
+    if ((category === "low" || category === "moderate") && !patient.ascvd) {
+      lpaDecisionGuard =
+        `ESC risk ${category} without ASCVD: elevated Lp(a) alone should NOT automatically trigger statin therapy → ` +
+        "lifestyle modification and shared decision-making (ESC2025_LPA_DECISION_GUARD).";
+    }
+  }
+
+  // unit missing → elevated null: not an enhancer (patientState already reminds to document the unit)
+  // Lp(a) may rise after menopause; age ≥50 used as a proxy when menopausal status is not recorded
+  const age = toNum(patient.age);
+  if (lpa.value !== null && !lpa.elevated && patient.sex === "F" && isFiniteNum(age) && age >= 50) {
+    enhancerReminders.push(
+      "Postmenopausal woman: Lp(a) may increase after menopause → a second measurement is reasonable if the last one was premenopausal (ESC2025_LPA_POSTMENOPAUSE)."
+    );
+  }
+
+  return { riskEnhancers, enhancerReminders, lpaDecisionGuard };
+}
+
+export function escEas2025RiskStratify(patient = {}) {
+  const result = _escCategory(patient);
+  return { ...result, ..._riskEnhancers(patient, result.category) };
+}
@@ -0,0 +1,118 @@
+// api/fhScore.js
+// =====================================================
+// Familial hypercholesterolemia — Dutch Lipid Clinic Network (DLCN) score (NO LLM REQUIRED)
+// Goal: "possible FH" should be a scored, auditable result, not a free-text hunch; a definite/probable
+// result changes the ESC category and triggers Lp(a) + cascade screening.
+//
+// Groups (only the highest item per group counts):
+//   1) Family history   first-degree relative with premature ASCVD or LDL-C >95th pct → 1
+//                       first-degree relative with tendon xanthoma / arcus (or child LDL >95th pct) → 2
+//   2) Clinical history premature CAD (M <55, F <60) → 2; premature cerebral/peripheral vascular disease → 1
+//   3) Physical exam    tendon xanthoma → 6; arcus cornealis before age 45 → 4
+//   4) LDL-C (untreated) ≥330 mg/dL (8.5 mmol/L) → 8; 250–329 → 5; 190–249 → 3; 155–189 → 1
+//   5) DNA              functional LDLR / APOB / PCSK9 variant → 8
+// Total: >8 definite, 6–8 probable, 3–5 possible, <3 unlikely
+//
+// scoreDlcn(input) → { score, category, fhLikely, items, ldl, notes, reminders }
+// =====================================================
+
+export const DLCN_LDL_POINTS = [
+  { min: 330, points: 8, label: "LDL-C ≥330 mg/dL (≥8.5 mmol/L)" },
+  { min: 250, points: 5, label: "LDL-C 250–329 mg/dL (6.5–8.4 mmol/L)" },
+  { min: 190, points: 3, label: "LDL-C 190–249 mg/dL (5.0–6.4 mmol/L)" },
+  { min: 155, points: 1, label: "LDL-C 155–189 mg/dL (4.0–4.9 mmol/L)" },
+];
+
+export function dlcnCategory(score) {
+  if (score > 8) return "definite";
+  if (score >= 6) return "probable";
+  if (score >= 3) return "possible";
+  return "unlikely";
+}
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+// Premature = man <55 / woman <60 at the event; current age is used when the event age is not recorded
+function _isPrematureAge(age, sex) {
+  if (!_isFiniteNum(age) || (sex !== "M" && sex !== "F")) return false;
+  return age < (sex === "M" ? 55 : 60);
+}
+
+// input: { age, sex, ldl, ldlSource, ldlOnTreatment, coronaryDisease, cerebralOrPeripheralDisease,
+//          tendonXanthoma, arcusCornealis, familyHistoryPrematureASCVD, familyHistoryHighLdl,
+//          familyHistoryXanthoma, fhMutation, lpaMeasured }
+export function scoreDlcn(input = {}) {
+  const { age = null, sex = null, ldl = null } = input;
+  const notes = [];
+  const candidates = [];
+  const add = (group, points, criterion) => candidates.push({ group, points, criterion });
+
+  // 1) Family history
+  if (input.familyHistoryPrematureASCVD) add("family", 1, "First-degree relative with premature ASCVD");
+  if (input.familyHistoryHighLdl) add("family", 1, "First-degree relative with LDL-C >95th percentile");
+  if (input.familyHistoryXanthoma) add("family", 2, "First-degree relative with tendon xanthoma / arcus cornealis");
+
+  // 2) Clinical history
+  const premature = _isPrematureAge(age, sex);
+  if (input.coronaryDisease && premature) add("clinical", 2, "Premature coronary artery disease");
+  if (input.cerebralOrPeripheralDisease && premature) add("clinical", 1, "Premature cerebral / peripheral vascular disease");
+  if ((input.coronaryDisease || input.cerebralOrPeripheralDisease) && premature) {
+    notes.push("Premature ASCVD judged from current age; confirm age at the first event.");
+  }
+
+  // 3) Physical examination
+  if (input.tendonXanthoma) add("exam", 6, "Tendon xanthomata");
+  if (input.arcusCornealis) {
+    if (_isFiniteNum(age) && age < 45) add("exam", 4, "Arcus cornealis before age 45");
+    else notes.push("Arcus cornealis at age ≥45 (or age unknown) scores 0 in DLCN.");
+  }
+
+  // 4) LDL-C (untreated)
+  if (_isFiniteNum(ldl)) {
+    const band = DLCN_LDL_POINTS.find((b) => ldl >= b.min);
+    if (band) add("ldl", band.points, band.label);
+    if (input.ldlOnTreatment) {
+      notes.push(`LDL-C ${ldl} mg/dL is on treatment → DLCN underestimated; use the untreated value if available.`);
+    } else if (input.ldlOnTreatment === null || input.ldlOnTreatment === undefined) {
+      notes.push(`LDL-C ${ldl} mg/dL treatment status not documented; DLCN assumes untreated.`);
+    }
+  } else {
+    notes.push("No LDL-C available → DLCN LDL group not scored.");
+  }
+
+  // 5) DNA
+  if (input.fhMutation) add("dna", 8, "Functional LDLR / APOB / PCSK9 variant");
+
+  // highest item per group
+  const items = Object.values(
+    candidates.reduce((acc, c) => {
+      if (!acc[c.group] || c.points > acc[c.group].points) acc[c.group] = c;
+      return acc;
+    }, {})
+  );
+  const score = items.reduce((sum, it) => sum + it.points, 0);
+  const category = dlcnCategory(score);
+  const fhLikely = category === "definite" || category === "probable";
+
+  const reminders = [];
+  if (category !== "unlikely") {
+    if (!input.lpaMeasured) {
+      reminders.push("FH suspected → measure Lp(a) (ESC2025_LPA_PRIORITY_GROUPS).");
+    }
+    reminders.push("FH suspected → cascade screening of first-degree relatives (lipid profile).");
+    if (!input.fhMutation) reminders.push("Consider genetic testing (LDLR / APOB / PCSK9) to confirm FH.");
+    reminders.push("Exclude secondary causes of high LDL-C (hypothyroidism, nephrotic syndrome, cholestasis).");
+  }
+
+  return {
+    score,
+    category,
+    fhLikely,
+    items,
+    ldl: { value: _isFiniteNum(ldl) ? ldl : null, source: input.ldlSource ?? null },
+    notes,
+    reminders,
+  };
+}
@@ -0,0 +1,188 @@
+// api/formulary.js
+// =====================================================
+// Per-clinic formulary (NO LLM REQUIRED)
+// Goal: the Plan / chronic_plan output names a tablet strength this clinic can actually order,
+// and the UI shows the NHI drug code for the claim.
+//
+// Config: CLINIC_FORMULARY = JSON array of products (Vercel env var), e.g.
+//   [{ "brand": "Crestor", "components": { "rosuvastatin": 10 }, "nhiCode": "...", "price": 12.3 },
+//    { "brand": "Atozet", "components": { "ezetimibe": 10, "atorvastatin": 20 }, "nhiCode": "...", "price": 30 }]
+//   components: generic → mg per tablet (2 components = combination product)
+//   Missing / invalid → DEFAULT_FORMULARY (common Taiwan strengths, NHI code / price not set)
+//
+// - getFormulary(env) → { source, configured, items: [{ brand, generic, components, nhiCode, price }], warnings }
+// - constrainToFormulary(suggestion, formulary) → statin options limited to stocked strengths,
+//     option.orderable = [{ brand, strengthMg, nhiCode, price }], option.combinations (ezetimibe/statin)
+// - stockedStrengths(formulary, generic) → [mg...] single-ingredient tablets only
+// =====================================================
+
+import { STATINS, statinOptionLabel } from "./statinIntolerance.js";
+
+const _p = (brand, components) => ({ brand, components, nhiCode: null, price: null });
+
+// Illustrative default: brands/strengths marketed in Taiwan; NHI codes + prices must come from the clinic config
+export const DEFAULT_FORMULARY = [
+  _p("Lipitor", { atorvastatin: 10 }),
+  _p("Lipitor", { atorvastatin: 20 }),
+  _p("Lipitor", { atorvastatin: 40 }),
+  _p("Lipitor", { atorvastatin: 80 }),
+  _p("Crestor", { rosuvastatin: 5 }),
+  _p("Crestor", { rosuvastatin: 10 }),
+  _p("Crestor", { rosuvastatin: 20 }),
+  _p("Zocor", { simvastatin: 10 }),
+  _p("Zocor", { simvastatin: 20 }),
+  _p("Zocor", { simvastatin: 40 }),
+  _p("Mevalotin", { pravastatin: 10 }),
+  _p("Mevalotin", { pravastatin: 20 }),
+  _p("Mevalotin", { pravastatin: 40 }),
+  _p("Livalo", { pitavastatin: 1 }),
+  _p("Livalo", { pitavastatin: 2 }),
+  _p("Lescol XL", { fluvastatin: 80 }),
+  _p("Mevacor", { lovastatin: 20 }),
+  _p("Ezetrol", { ezetimibe: 10 }),
+  _p("Vytorin", { ezetimibe: 10, simvastatin: 20 }),
+  _p("Vytorin", { ezetimibe: 10, simvastatin: 40 }),
+  _p("Atozet", { ezetimibe: 10, atorvastatin: 10 }),
+  _p("Atozet", { ezetimibe: 10, atorvastatin: 20 }),
+  _p("Atozet", { ezetimibe: 10, atorvastatin: 40 }),
+  _p("Rosuzet", { ezetimibe: 10, rosuvastatin: 5 }),
+  _p("Rosuzet", { ezetimibe: 10, rosuvastatin: 10 }),
+  _p("Rosuzet", { ezetimibe: 10, rosuvastatin: 20 }),
+];
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function _normalizeItem(raw, i, warnings) {
+  const brand = typeof raw?.brand === "string" ? raw.brand.trim() : "";
+  const entries = Object.entries(raw?.components && typeof raw.components === "object" ? raw.components : {})
+    .map(([g, mg]) => [String(g).trim().toLowerCase(), Number(mg)])
+    .filter(([g, mg]) => g && _isFiniteNum(mg) && mg > 0);
+  if (!brand || !entries.length) {
+    warnings.push(`CLINIC_FORMULARY[${i}] ignored: needs "brand" and "components" { generic: mg }.`);
+    return null;
+  }
+  const components = Object.fromEntries(entries);
+  return {
+    brand,
+    generic: Object.keys(components).join("/"),
+    components,
+    nhiCode: typeof raw.nhiCode === "string" && raw.nhiCode.trim() ? raw.nhiCode.trim() : null,
+    price: _isFiniteNum(Number(raw.price)) && raw.price !== null && raw.price !== "" ? Number(raw.price) : null,
+  };
+}
+
+export function getFormulary(env = process.env) {
+  const warnings = [];
+  const text = String(env.CLINIC_FORMULARY ?? "").trim();
+  let items = null;
+
+  if (text) {
+    try {
+      const parsed = JSON.parse(text);
+      if (!Array.isArray(parsed)) throw new Error("not a JSON array");
+      items = parsed.map((raw, i) => _normalizeItem(raw, i, warnings)).filter(Boolean);
+      if (!items.length) {
+        warnings.push("CLINIC_FORMULARY has no valid products → default formulary used.");
+        items = null;
+      }
+    } catch (e) {
+      warnings.push(`CLINIC_FORMULARY is not valid JSON (${e.message}) → default formulary used.`);
+    }
+  }
+
+  if (items) return { source: "clinic", configured: true, items, warnings };
+  return {
+    source: "default",
+    configured: false,
+    items: DEFAULT_FORMULARY.map((raw, i) => _normalizeItem(raw, i, warnings)),
+    warnings,
+  };
+}
+
+function _single(formulary, generic) {
+  return (formulary?.items || []).filter((x) => x.generic === generic);
+}
+
+export function stockedStrengths(formulary, generic) {
+  return [...new Set(_single(formulary, generic).map((x) => x.components[generic]))].sort((a, b) => a - b);
+}
+
+function _orderable(item, generic) {
+  return { brand: item.brand, strengthMg: item.components[generic], nhiCode: item.nhiCode, price: item.price };
+}
+
+// "Crestor 5/10 mg [NHI: AB12345100, BC…]" — compact product line for labels and prompts
+export function formatProducts(orderable) {
+  const byBrand = new Map();
+  for (const o of orderable) byBrand.set(o.brand, [...(byBrand.get(o.brand) || []), o]);
+  return [...byBrand.entries()]
+    .map(([brand, list]) => {
+      const codes = list.map((o) => o.nhiCode).filter(Boolean);
+      return `${brand} ${list.map((o) => o.strengthMg).join("/")} mg${codes.length ? ` [NHI: ${codes.join(", ")}]` : ""}`;
+    })
+    .join("; ");
+}
+
+export function formatFormularyItem(item) {
+  const strength = Object.entries(item.components).map(([g, mg]) => `${g} ${mg} mg`).join(" + ");
+  return `${item.brand}（${strength}）${item.nhiCode ? ` NHI ${item.nhiCode}` : ""}`;
+}
+
+export function constrainToFormulary(suggestion, formulary) {
+  if (!suggestion || !formulary) return suggestion;
+
+  const notInFormulary = [];
+  const options = [];
+  for (const o of suggestion.options) {
+    if (!o.statin || !o.doseMg) {
+      options.push(o);
+      continue;
+    }
+    const [lo, hi] = o.doseMg;
+    const stocked = _single(formulary, o.statin).sort((a, b) => a.components[o.statin] - b.components[o.statin]);
+    const name = STATINS[o.statin].name;
+    if (!stocked.length) {
+      notInFormulary.push(`${name} (not stocked)`);
+      continue;
+    }
+
+    let picked = stocked.filter((x) => x.components[o.statin] >= lo && x.components[o.statin] <= hi);
+    const notes = [...(o.notes || [])];
+    if (!picked.length) {
+      // nothing inside the range → closest tablet below it (never above a cap)
+      const below = stocked.filter((x) => x.components[o.statin] < lo);
+      if (!below.length) {
+        notInFormulary.push(`${name} (no tablet ≤${hi} mg stocked)`);
+        continue;
+      }
+      const mg = below[below.length - 1].components[o.statin];
+      picked = below.filter((x) => x.components[o.statin] === mg);
+      notes.push(`closest stocked strength below ${lo} mg`);
+    }
+
+    const orderable = picked.map((x) => _orderable(x, o.statin));
+    const strengths = orderable.map((x) => x.strengthMg);
+    const range = [Math.min(...strengths), Math.max(...strengths)];
+    const combinations = (formulary.items || [])
+      .filter((x) => Object.keys(x.components).length === 2 && x.components.ezetimibe && strengths.includes(x.components[o.statin]))
+      .map((x) => ({ brand: x.brand, components: x.components, nhiCode: x.nhiCode, price: x.price }));
+
+    options.push({
+      ...o,
+      doseMg: range,
+      label: `${statinOptionLabel(o.statin, range, notes)} — ${formatProducts(orderable)}`,
+      notes,
+      orderable,
+      ...(combinations.length ? { combinations } : {}),
+    });
+  }
+
+  const adjusted = { ...suggestion, options, formulary: { source: formulary.source, configured: formulary.configured } };
+  if (notInFormulary.length) adjusted.notInFormulary = notInFormulary;
+  if (!options.some((o) => o.statin) && suggestion.options.some((o) => o.statin)) {
+    adjusted.note = `${suggestion.note ? `${suggestion.note} ` : ""}No suggested statin is orderable from the clinic formulary → review formulary / choose manually.`;
+  }
+  return adjusted;
+}
@@ -0,0 +1,129 @@
+// api/labUnits.js
+// =====================================================
+// Lab unit handling (NO LLM REQUIRED)
+// Goal: engines compare against mg/dL thresholds, but reports arrive in mg/dL, mmol/L, µmol/L
+// or nmol/L. Every value is converted to ONE canonical unit before it reaches an engine,
+// and displayed in both units the way the evidence pack writes them ("<55 mg/dL (<1.4 mmol/L)").
+//
+// - normalizeUnit("mmol/l") → "mmol/L"
+// - toCanonical(analyte, value, unit?) → { value, unit, original, converted, inferred } | null
+//   unit missing → inferred from the value range (e.g. "LDL 3.4" → mmol/L), flagged inferred: true
+// - formatDual(analyte, canonicalValue) → "131 mg/dL (3.39 mmol/L)"
+// - lpaStatus({ value, unit }) → Lp(a) vs 50 mg/dL / 105 nmol/L (NO mg/dL ↔ nmol/L conversion:
+//   the ratio depends on apo(a) isoform size, so each unit keeps its own threshold)
+// =====================================================
+
+// factor: canonical = alternate × factor
+export const LAB_UNITS = {
+  LDL: { label: "LDL-C", canonical: "mg/dL", alternate: "mmol/L", factor: 38.67, digits: 0, altDigits: 2, maxAlternate: 15 },
+  HDL: { label: "HDL-C", canonical: "mg/dL", alternate: "mmol/L", factor: 38.67, digits: 0, altDigits: 2, maxAlternate: 5 },
+  TC: { label: "TC", canonical: "mg/dL", alternate: "mmol/L", factor: 38.67, digits: 0, altDigits: 2, maxAlternate: 20 },
+  NONHDL: { label: "non-HDL-C", canonical: "mg/dL", alternate: "mmol/L", factor: 38.67, digits: 0, altDigits: 2, maxAlternate: 20 },
+  TG: { label: "TG", canonical: "mg/dL", alternate: "mmol/L", factor: 88.57, digits: 0, altDigits: 2, maxAlternate: 15 },
+  // glucose: unlabelled ≤25 → mmol/L (25 mmol/L = 450 mg/dL); "glucose 30" stays 30 mg/dL (hypoglycaemia), not 540
+  GLUCOSE: { label: "Glucose", canonical: "mg/dL", alternate: "mmol/L", factor: 18.016, digits: 0, altDigits: 1, maxAlternate: 25 },
+  // creatinine: mg/dL = µmol/L ÷ 88.4; unlabelled values >20 are µmol/L (no one has Scr 20 mg/dL)
+  CREATININE: { label: "Creatinine", canonical: "mg/dL", alternate: "µmol/L", factor: 1 / 88.4, digits: 2, altDigits: 0, minAlternate: 20 },
+};
+
+// ESC2025_LPA_RISK_THRESHOLD: >50 mg/dL (≥105 nmol/L)
+export const LPA_THRESHOLDS = { "mg/dL": 50, "nmol/L": 105 };
+
+const UNIT_ALIASES = [
+  [/^mg\/dl$/i, "mg/dL"],
+  [/^mmol\/l$/i, "mmol/L"],
+  [/^nmol\/l$/i, "nmol/L"],
+  [/^[uµμ]mol\/l$/i, "µmol/L"],
+];
+
+// Regex source for a unit token right after a number (matched on lower-case text)
+export const UNIT_PATTERN = "mg\\/dl|mmol\\/l|nmol\\/l|[uµμ]mol\\/l";
+
+export function normalizeUnit(unit) {
+  if (typeof unit !== "string") return null;
+  const u = unit.trim().replace(/\s+/g, "");
+  for (const [re, canonical] of UNIT_ALIASES) if (re.test(u)) return canonical;
+  return null;
+}
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function _round(x, digits) {
+  const p = 10 ** digits;
+  return Math.round(x * p) / p;
+}
+
+function _inferUnit(spec, value) {
+  if (_isFiniteNum(spec.maxAlternate) && value <= spec.maxAlternate) return spec.alternate;
+  if (_isFiniteNum(spec.minAlternate) && value > spec.minAlternate) return spec.alternate;
+  return spec.canonical;
+}
+
+// → { value (canonical), unit (canonical), original: { value, unit }, converted, inferred }
+// Unknown analyte / unit that does not belong to the analyte → null
+export function toCanonical(analyte, value, unit = null) {
+  const spec = LAB_UNITS[analyte];
+  if (!spec || !_isFiniteNum(value)) return null;
+
+  const given = normalizeUnit(unit);
+  if (unit && !given) return null;
+  if (given && given !== spec.canonical && given !== spec.alternate) return null;
+  const from = given || _inferUnit(spec, value);
+  const converted = from === spec.alternate;
+
+  return {
+    value: converted ? _round(value * spec.factor, spec.digits) : value,
+    unit: spec.canonical,
+    original: { value, unit: from },
+    converted,
+    inferred: !given && converted,
+  };
+}
+
+export function fromCanonical(analyte, value) {
+  const spec = LAB_UNITS[analyte];
+  if (!spec || !_isFiniteNum(value)) return null;
+  return _round(value / spec.factor, spec.altDigits);
+}
+
+// "131 mg/dL (3.39 mmol/L)"; null → "unknown"
+export function formatDual(analyte, value) {
+  const spec = LAB_UNITS[analyte];
+  if (!_isFiniteNum(value)) return "unknown";
+  if (!spec) return String(value);
+  return `${value} ${spec.canonical} (${fromCanonical(analyte, value)} ${spec.alternate})`;
+}
+
+// "3.4 mmol/L → 131 mg/dL" for provenance / reminders; null when nothing was converted
+export function describeConversion(analyte, result) {
+  if (!result?.converted) return null;
+  const o = result.original;
+  return `${LAB_UNITS[analyte]?.label ?? analyte} ${o.value} ${o.unit}${result.inferred ? " (unit assumed)" : ""} → ${result.value} ${result.unit}`;
+}
+
+// Lp(a): { value, unit } → { value, unit, threshold, elevated, display } (unit required: an
+// unlabelled Lp(a) cannot be compared — 60 means "elevated" in mg/dL and "normal" in nmol/L)
+export function lpaStatus({ value = null, unit = null } = {}) {
+  const u = normalizeUnit(unit);
+  const threshold = u ? LPA_THRESHOLDS[u] ?? null : null;
+  if (!_isFiniteNum(value)) return { value: null, unit: u, threshold, elevated: null, display: "unknown" };
+  if (threshold === null) {
+    return {
+      value,
+      unit: u,
+      threshold: null,
+      elevated: null,
+      display: `${value} (unit not stated; threshold 50 mg/dL or 105 nmol/L)`,
+    };
+  }
+  const elevated = u === "mg/dL" ? value > threshold : value >= threshold;
+  return {
+    value,
+    unit: u,
+    threshold,
+    elevated,
+    display: `${value} ${u} (threshold ${u === "mg/dL" ? ">50 mg/dL" : "≥105 nmol/L"}; mg/dL ↔ nmol/L not converted)`,
+  };
+}
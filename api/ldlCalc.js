@@ -0,0 +1,115 @@
+// api/ldlCalc.js
+// =====================================================
+// Calculated LDL-C / non-HDL-C when the lab report has no direct LDL (NO LLM REQUIRED)
+//
+// - non-HDL-C = TC − HDL-C (or the reported non-HDL value)
+// - Friedewald:      LDL-C = non-HDL-C − TG/5
+// - Martin-Hopkins:  LDL-C = non-HDL-C − TG/factor   (180-cell factor table, TG × non-HDL strata)
+// - TG ≥400 mg/dL → no calculated LDL (direct LDL-C required)
+//
+// calculateLdl({ tc, hdl, tg, nonHdl }) →
+//   { value, method, calculated: true, valid, nonHdl, friedewald, martinHopkins, factor, derivation, note }
+//   value = Martin-Hopkins (preferred; more accurate at low LDL-C / high TG), Friedewald kept for reference
+// =====================================================
+
+export const TG_CALC_LIMIT_MGDL = 400;
+
+// Martin SS et al. JAMA 2013;310:2061 — 180-cell table (30 TG strata × 6 non-HDL strata), as published.
+// Cells are empirical median TG:VLDL-C ratios, not smoothed: TG 97–100 / non-HDL ≥220 = 4.3 (below the
+// 4.4 of the row above) is in the original table, not a typo.
+const MH_NON_HDL_UPPER = [100, 130, 160, 190, 220, Infinity]; // <100, 100–129, 130–159, 160–189, 190–219, ≥220
+const MH_FACTORS = [
+  // [TG low, TG high, ...factors by non-HDL stratum]
+  [7, 49, 3.5, 3.4, 3.3, 3.3, 3.2, 3.1],
+  [50, 56, 4.0, 3.9, 3.7, 3.6, 3.6, 3.4],
+  [57, 61, 4.3, 4.1, 4.0, 3.9, 3.8, 3.6],
+  [62, 66, 4.5, 4.3, 4.1, 4.0, 3.9, 3.9],
+  [67, 71, 4.7, 4.4, 4.3, 4.2, 4.1, 3.9],
+  [72, 75, 4.8, 4.6, 4.4, 4.2, 4.2, 4.1],
+  [76, 79, 4.9, 4.6, 4.5, 4.3, 4.3, 4.2],
+  [80, 83, 5.0, 4.8, 4.6, 4.4, 4.3, 4.2],
+  [84, 87, 5.1, 4.8, 4.6, 4.5, 4.4, 4.3],
+  [88, 92, 5.2, 4.9, 4.7, 4.6, 4.4, 4.3],
+  [93, 96, 5.3, 5.0, 4.8, 4.7, 4.5, 4.4],
+  [97, 100, 5.4, 5.1, 4.8, 4.7, 4.5, 4.3],
+  [101, 105, 5.5, 5.2, 5.0, 4.7, 4.6, 4.5],
+  [106, 110, 5.6, 5.3, 5.0, 4.8, 4.6, 4.5],
+  [111, 115, 5.7, 5.4, 5.1, 4.9, 4.7, 4.5],
+  [116, 120, 5.8, 5.5, 5.2, 5.0, 4.8, 4.6],
+  [121, 126, 6.0, 5.5, 5.3, 5.0, 4.8, 4.6],
+  [127, 132, 6.1, 5.7, 5.3, 5.1, 4.9, 4.7],
+  [133, 138, 6.2, 5.8, 5.4, 5.2, 5.0, 4.7],
+  [139, 146, 6.3, 5.9, 5.6, 5.3, 5.0, 4.8],
+  [147, 154, 6.5, 6.0, 5.7, 5.4, 5.1, 4.8],
+  [155, 163, 6.7, 6.2, 5.8, 5.4, 5.2, 4.9],
+  [164, 173, 6.8, 6.3, 5.9, 5.5, 5.3, 5.0],
+  [174, 185, 7.0, 6.5, 6.0, 5.7, 5.4, 5.1],
+  [186, 201, 7.3, 6.7, 6.2, 5.8, 5.5, 5.2],
+  [202, 220, 7.6, 6.9, 6.4, 6.0, 5.6, 5.3],
+  [221, 247, 8.0, 7.2, 6.6, 6.2, 5.9, 5.4],
+  [248, 292, 8.5, 7.6, 7.0, 6.5, 6.1, 5.6],
+  [293, 399, 9.5, 8.3, 7.5, 7.0, 6.5, 5.9],
+  [400, 13975, 11.9, 10.0, 8.8, 8.1, 7.5, 6.7],
+];
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+// TG strata are integer ranges; fractional TG falls into the stratum of its rounded value
+export function martinHopkinsFactor(tg, nonHdl) {
+  if (!_isFiniteNum(tg) || !_isFiniteNum(nonHdl)) return null;
+  const t = Math.round(tg);
+  const row = MH_FACTORS.find(([lo, hi]) => t >= lo && t <= hi);
+  if (!row) return null;
+  const col = MH_NON_HDL_UPPER.findIndex((upper) => nonHdl < upper);
+  return row[2 + col];
+}
+
+export function calculateLdl({ tc = null, hdl = null, tg = null, nonHdl = null } = {}) {
+  const nh = _isFiniteNum(tc) && _isFiniteNum(hdl) ? tc - hdl : _isFiniteNum(nonHdl) ? nonHdl : null;
+  const result = {
+    value: null,
+    method: null,
+    calculated: true,
+    valid: false,
+    nonHdl: nh,
+    friedewald: null,
+    martinHopkins: null,
+    factor: null,
+    derivation: null,
+    note: null,
+  };
+
+  if (!_isFiniteNum(nh) || !_isFiniteNum(tg)) {
+    result.note = "Need TC + HDL-C (or non-HDL-C) and TG to calculate LDL-C.";
+    return result;
+  }
+  if (tg >= TG_CALC_LIMIT_MGDL) {
+    result.note = `TG ${tg} ≥${TG_CALC_LIMIT_MGDL} mg/dL → calculated LDL-C unreliable; order direct LDL-C.`;
+    return result;
+  }
+
+  const base = _isFiniteNum(tc) && _isFiniteNum(hdl) ? `(TC ${tc} − HDL-C ${hdl})` : `non-HDL-C ${nh}`;
+  result.friedewald = Math.round(nh - tg / 5);
+  result.factor = martinHopkinsFactor(tg, nh);
+  result.martinHopkins = result.factor ? Math.round(nh - tg / result.factor) : null;
+
+  if (result.martinHopkins !== null) {
+    result.value = result.martinHopkins;
+    result.method = "Martin-Hopkins";
+    result.derivation =
+      `LDL-C (calculated, Martin-Hopkins) = ${base} − TG ${tg}/${result.factor} = ${result.martinHopkins} mg/dL` +
+      `; Friedewald = ${base} − TG ${tg}/5 = ${result.friedewald} mg/dL`;
+  } else {
+    result.value = result.friedewald;
+    result.method = "Friedewald";
+    result.derivation = `LDL-C (calculated, Friedewald) = ${base} − TG ${tg}/5 = ${result.friedewald} mg/dL`;
+  }
+  result.valid = result.value > 0;
+  if (!result.valid) {
+    result.value = null;
+    result.note = "Calculated LDL-C ≤0 → check the panel values; order direct LDL-C.";
+  }
+  return result;
+}
@@ -0,0 +1,89 @@
+// api/lifestyleTrial.js
+// =====================================================
+// NHI mandatory lifestyle trial (NO LLM REQUIRED)
+// Goal: NHI_LDL_PRIMARY_PREV_RF_GTE2 / _RF_EQ1 pay only after 3–6 months of lifestyle /
+// nonpharmacologic therapy; "LDL 165 + 2 RF" is NOT eligible today if the diet started last month.
+//
+// - parseLifestyleStart(text, { today }) → { date, evidence: { lineNo, text } } | null
+//   earliest affirmed lifestyle-therapy line with a start cue (START_CUE_RE) and a date not after today
+//   ("Lifestyle modification since 2024/03/01", "113/03/01 開始飲食控制"); "diet control, recheck lipid
+//   2027/01/10" is a follow-up date, not a start
+// - assessLifestyleTrial(trial, { startDate, source, today }) → { minMonths, maxMonths, startDate, source,
+//     eligibleAfter, status: "completed" | "in_progress" | "not_documented" } | null (row has no trial)
+// - lifestyleTrialReminder(progress, { threshold, evidenceId, drug }) → chart wording for the reminder list
+// - describeLifestyleTrial(progress) → one line for the plan prompt / UI
+// =====================================================
+
+import { splitSoapLines, assessFinding, isAffirmed } from "./soapNegation.js";
+import { parseDate, addMonths, todayIso } from "./dates.js";
+
+export const LIFESTYLE_PATTERNS = [
+  /\blifestyle (?:modification|change|therapy|intervention)s?\b/,
+  /\btherapeutic lifestyle changes?\b/,
+  /\bnon-?pharmacologic(?:al)? (?:therapy|treatment)\b/,
+  /\bdiet(?:ary)? (?:control|therapy|modification|counsel(?:l)?ing)\b/,
+  "生活型態調整",
+  "生活型態改變",
+  "飲食控制",
+  "飲食運動",
+  "非藥物治療",
+];
+
+// since / started / from …, 開始, or a date followed by 起 ("113/03/01起")
+const START_CUE_RE = /\b(?:since|start(?:ed|ing)?|began|from)\b|開始|\d\s*日?\s*起/;
+
+export function parseLifestyleStart(text, { today = todayIso() } = {}) {
+  const lines = splitSoapLines(String(text || "").replace(/\r\n?/g, "\n").toLowerCase());
+  let found = null;
+  for (const line of lines) {
+    if (!START_CUE_RE.test(line.text)) continue;
+    const date = parseDate(line.text);
+    if (!date || date > today || !isAffirmed(assessFinding([line], LIFESTYLE_PATTERNS))) continue;
+    if (!found || date < found.date) found = { date, evidence: { lineNo: line.lineNo, text: line.text.trim() } };
+  }
+  return found;
+}
+
+export function assessLifestyleTrial(trial, { startDate = null, source = null, today = todayIso() } = {}) {
+  if (!trial) return null;
+  const eligibleAfter = startDate ? addMonths(startDate, trial.minMonths) : null;
+  return {
+    minMonths: trial.minMonths,
+    maxMonths: trial.maxMonths,
+    startDate,
+    source,
+    eligibleAfter,
+    status: !startDate ? "not_documented" : today >= eligibleAfter ? "completed" : "in_progress",
+  };
+}
+
+// NHI reviewers look for: start date, duration, LDL still above the start threshold after the trial
+export function lifestyleTrialReminder(progress, { threshold, evidenceId, drug = "medication" }) {
+  const months = `${progress.minMonths}–${progress.maxMonths} months`;
+  if (progress.status === "completed") {
+    return (
+      `Chart wording: "Lifestyle/nonpharmacologic therapy (diet, exercise, weight control) since ${progress.startDate}, ` +
+      `≥${progress.minMonths} months; ${threshold} persists → ${drug} started (${evidenceId})."`
+    );
+  }
+  if (progress.status === "in_progress") {
+    return (
+      `Chart wording: "Lifestyle/nonpharmacologic therapy started ${progress.startDate}; NHI requires ${months} ` +
+      `before ${drug} → recheck lipids on/after ${progress.eligibleAfter} (${evidenceId})."`
+    );
+  }
+  return (
+    `Lifestyle-trial start date not documented: NHI requires ${months} of lifestyle/nonpharmacologic therapy ` +
+    `before ${drug} → enter it in the UI or chart it (e.g. "Lifestyle modification since 2024/03/01").`
+  );
+}
+
+export function describeLifestyleTrial(progress) {
+  if (progress.status === "not_documented") {
+    return `start date not documented (NHI requires ${progress.minMonths}–${progress.maxMonths} months before medication)`;
+  }
+  const since = `started ${progress.startDate} (${progress.source})`;
+  return progress.status === "completed"
+    ? `${since}, ≥${progress.minMonths} months → completed`
+    : `${since} → eligible after ${progress.eligibleAfter}`;
+}
@@ -2,6 +2,13 @@
 // ==================================================
 // SOURCE-LIMITED EVIDENCE PACK + NHI DECISION HELPERS
 // ==================================================
+import { splitSoapLines, assessFinding, isAffirmed, FINDING_STATUS } from "./soapNegation.js";
+import { calculateLdl } from "./ldlCalc.js";
+import { UNIT_PATTERN, normalizeUnit, toCanonical, describeConversion } from "./labUnits.js";
+import { MUSCLE_SYMPTOM_PATTERNS, RHABDO_PATTERNS, parseStatinsTried } from "./statinIntolerance.js";
+import { PREGNANCY_PATTERNS, LACTATION_PATTERNS, parseMedications } from "./statinInteractions.js";
+import { parseLifestyleStart, assessLifestyleTrial, lifestyleTrialReminder } from "./lifestyleTrial.js";
+
 // Contents include:
 // - ESC/EAS Dyslipidaemia Guideline – Focused Update 2025 (as summarized/quoted in user's doc)
 // - ACC/AHA 2018 Cholesterol Guideline (as summarized/quoted in user's doc)
@@ -135,6 +142,26 @@ export const lipidEvidence = {
       note:
         "Operational: ESC focuses on achieved LDL reduction/targets; exact dose table not included in uploaded excerpt.",
     },
+    {
+      id: "ESC2019_CKD_DIALYSIS_NO_INITIATE",
+      guideline: "ESC/EAS Dyslipidaemia Guideline",
+      year: 2019,
+      rule: "Dialysis-dependent CKD without ASCVD: starting a statin is not recommended.",
+      quote: null,
+      section: "Recommendations for lipid management in CKD",
+      cor_loe: "III A",
+      note: "Paraphrased (not verbatim in uploaded excerpt).",
+    },
+    {
+      id: "ESC2019_CKD_DIALYSIS_CONTINUE",
+      guideline: "ESC/EAS Dyslipidaemia Guideline",
+      year: 2019,
+      rule: "Already on a statin (or statin/ezetimibe) when dialysis starts: continue, particularly with ASCVD.",
+      quote: null,
+      section: "Recommendations for lipid management in CKD",
+      cor_loe: "IIa C",
+      note: "Paraphrased (not verbatim in uploaded excerpt).",
+    },
     {
       id: "ACC2018_HIGH_INTENSITY_DEFINITION",
       guideline: "ACC/AHA 2018",
@@ -198,6 +225,41 @@ export const lipidEvidence = {
       quote:
         "In patients in whom high-intensity statin therapy is contraindicated or who experience statin-associated side effects, moderate-intensity statin therapy should be initiated or continued.",
     },
+    {
+      id: "ACC2018_SAMS_RECHALLENGE",
+      appliesTo: "Statin-associated side effects that are not severe",
+      action:
+        "Reassess and rechallenge: modified dosing regimen, an alternate statin, or statin + nonstatin combination",
+      guideline: "ACC/AHA 2018",
+      year: 2018,
+      cor_loe: "I B-R",
+      section: "Section 4.5",
+      quote: null,
+      note: "Paraphrased (not verbatim in uploaded excerpt); confirm wording against ACC/AHA 2018 Section 4.5.",
+    },
+    {
+      id: "ACC2018_SAMS_CK_SEVERE",
+      appliesTo: "Severe statin-associated muscle symptoms",
+      action: "Measure CK (and renal function); stop the statin while evaluating for myopathy / rhabdomyolysis",
+      guideline: "ACC/AHA 2018",
+      year: 2018,
+      cor_loe: "I C-LD",
+      section: "Section 4.5",
+      quote: null,
+      note:
+        "Paraphrased; CK bands (≥4× ULN hold, ≥10× ULN stop) are operational engineering thresholds, not guideline text.",
+    },
+    {
+      id: "ACC2018_SAMS_NONSTATIN",
+      appliesTo: "Increased ASCVD risk with severe or recurrent SAMS despite appropriate rechallenge",
+      action: "Reasonable to use RCT-proven nonstatin therapy likely to provide net clinical benefit",
+      guideline: "ACC/AHA 2018",
+      year: 2018,
+      cor_loe: "IIa B-R",
+      section: "Section 4.5",
+      quote: null,
+      note: "Paraphrased (not verbatim in uploaded excerpt). Non-statin choice follows nonStatinTherapy entries.",
+    },
   ],
 
   // ==================================================
@@ -386,10 +448,18 @@ export const lipidEvidence = {
         "Operational NHI threshold (not verbatim in uploaded excerpt). Use for decision support; confirm against official table if needed.",
     },
     // --- Taiwan NHI reimbursement: LDL/TC (from the official table you provided) ---
+    // Machine-readable (getNhiEligibility is driven by these rows; edit data, not code):
+    // - appliesWhen: patient context that must match (secondaryPrevention / cvdOrDm booleans,
+    //   riskFactorCount_gte / riskFactorCount_eq); first matching NHI_LDL_* row wins
+    // - startThreshold / goal: see evaluateNhiThreshold (plain keys AND, "or_" keys = alternatives)
+    // - lifestyleTrial: null = drug therapy may start together with lifestyle modification
 {
   id: "NHI_LDL_SEC_PREV_ACS_OR_CAD_1080201",
   appliesTo: "Secondary prevention: ACS history, PCI/CABG, or coronary atherosclerotic disease",
+  category: "secondary_prevention",
+  appliesWhen: { secondaryPrevention: true },
   nonPharm: "Nonpharm and drug therapy can be concurrent",
+  lifestyleTrial: null,
   startThreshold: { ldl_mgdl_gte: 70 },
   goal: { ldl_mgdl_lt: 70 },
   followUp: "Year 1: lipid check q3–6 months; Year ≥2: at least q6–12 months; monitor adverse effects (e.g., liver function abnormality, rhabdomyolysis).",
@@ -400,7 +470,10 @@ export const lipidEvidence = {
 {
   id: "NHI_LDL_CVD_OR_DM",
   appliesTo: "Patients with cardiovascular disease or diabetes",
+  category: "cvd_or_dm",
+  appliesWhen: { secondaryPrevention: false, cvdOrDm: true },
   nonPharm: "Nonpharm and drug therapy can be concurrent",
+  lifestyleTrial: null,
   startThreshold: { tc_mgdl_gte: 160, or_ldl_mgdl_gte: 100 },
   goal: { tc_mgdl_lt: 160, or_ldl_mgdl_lt: 100 },
   source: "Taiwan NHI lipid-lowering reimbursement table",
@@ -410,7 +483,10 @@ export const lipidEvidence = {
 {
   id: "NHI_LDL_PRIMARY_PREV_RF_GTE2",
   appliesTo: "Primary prevention with ≥2 risk factors",
+  category: "primary_prevention",
+  appliesWhen: { secondaryPrevention: false, cvdOrDm: false, riskFactorCount_gte: 2 },
   nonPharm: "3–6 months lifestyle/nonpharmacologic therapy before starting medication",
+  lifestyleTrial: { minMonths: 3, maxMonths: 6 },
   startThreshold: { tc_mgdl_gte: 200, or_ldl_mgdl_gte: 130 },
   goal: { tc_mgdl_lt: 200, or_ldl_mgdl_lt: 130 },
   source: "Taiwan NHI lipid-lowering reimbursement table",
@@ -420,7 +496,10 @@ export const lipidEvidence = {
 {
   id: "NHI_LDL_PRIMARY_PREV_RF_EQ1",
   appliesTo: "Primary prevention with 1 risk factor",
+  category: "primary_prevention",
+  appliesWhen: { secondaryPrevention: false, cvdOrDm: false, riskFactorCount_eq: 1 },
   nonPharm: "3–6 months lifestyle/nonpharmacologic therapy before starting medication",
+  lifestyleTrial: { minMonths: 3, maxMonths: 6 },
   startThreshold: { tc_mgdl_gte: 240, or_ldl_mgdl_gte: 160 },
   goal: { tc_mgdl_lt: 240, or_ldl_mgdl_lt: 160 },
   source: "Taiwan NHI lipid-lowering reimbursement table",
@@ -431,7 +510,9 @@ export const lipidEvidence = {
 {
   id: "NHI_TG_CVD_OR_DM",
   appliesTo: "Patients with cardiovascular disease or diabetes",
+  population: "cvd_or_dm",
   nonPharm: "Nonpharm and drug therapy can be concurrent",
+  lifestyleTrial: null,
   startThreshold: {
     tg_mgdl_gte: 200,
     and_either: ["tc_hdl_ratio_gt_5", "hdl_mgdl_lt_40"],
@@ -445,7 +526,9 @@ export const lipidEvidence = {
 {
   id: "NHI_TG_NO_CVD_TG_GTE200_WITH_DYSRATIO_OR_LOWHDL",
   appliesTo: "No cardiovascular disease",
+  population: "no_cvd",
   nonPharm: "3–6 months lifestyle/nonpharmacologic therapy before starting medication",
+  lifestyleTrial: { minMonths: 3, maxMonths: 6 },
   startThreshold: {
     tg_mgdl_gte: 200,
     and_either: ["tc_hdl_ratio_gt_5", "hdl_mgdl_lt_40"],
@@ -458,7 +541,9 @@ export const lipidEvidence = {
 {
   id: "NHI_TG_NO_CVD_TG_GTE500",
   appliesTo: "No cardiovascular disease",
+  population: "no_cvd",
   nonPharm: "Nonpharm and drug therapy can be concurrent",
+  lifestyleTrial: null,
   startThreshold: { tg_mgdl_gte: 500 },
   goal: { tg_mgdl_lt: 500 },
   source: "Taiwan NHI triglyceride-lowering reimbursement table",
@@ -503,7 +588,15 @@ export const nhiRiskFactors = [
     source: "Taiwan NHI lipid-lowering reimbursement table",
     quote: null,
   },
+  {
+    id: "NHI_RF_SMOKING",
+    name: "Smoking",
+    definition: "吸菸（因吸菸而符合起步治療準則者，若未戒菸而要求藥物治療，應審慎考慮）",
+    source: "Taiwan NHI lipid-lowering reimbursement table",
+    quote: null,
+  },
 ];
+// NOTE: diabetes is NOT a risk factor in the NHI table; it has its own row (NHI_LDL_CVD_OR_DM).
 
 
 // ==================================================
@@ -524,38 +617,323 @@ function _parseLdlMgdl(ldl) {
 function _normalizeText(s) {
   return (s || "")
     .toString()
-    .replace(/\r/g, "\n")
-    .replace(/[，、]/g, ",")
+    .replace(/\r\n?/g, "\n")
+    .replace(/，/g, ",") // 、 kept: it continues a negated list ("否認高血壓、糖尿病"), a comma does not
     .replace(/[：]/g, ":")
     .replace(/\u00A0/g, " ")
     .toLowerCase();
 }
 
-function _hasAny(text, patterns) {
-  return patterns.some((p) => {
-    if (p instanceof RegExp) return p.test(text);
-    return text.includes(String(p).toLowerCase());
-  });
+// SOAP line evidence for a match index in normalized text (1-based lineNo, same as soapNegation.js)
+function _lineEvidence(text, index, matched) {
+  const lineStart = text.lastIndexOf("\n", index - 1) + 1;
+  const lineEnd = text.indexOf("\n", index);
+  return {
+    lineNo: text.slice(0, index).split("\n").length,
+    text: text.slice(lineStart, lineEnd < 0 ? text.length : lineEnd).trim(),
+    matched,
+  };
 }
 
-function _pickNumberAfterLabels(text, labels) {
+// labels are regex sources; maxDigits 4 for TG (e.g. "TG 1250")
+// Unit-aware: "LDL 3.4 mmol/L", "LDL-C (mmol/L): 3.4", "Cr 88 umol/L" → converted to the canonical
+// unit (api/labUnits.js); single-digit integers only count with an explicit unit ("Lp(a) 8 mg/dL").
+// analyte === null → raw number + unit token, no conversion (Lp(a): mg/dL vs nmol/L)
+function _findNumberAfterLabels(text, labels, { maxDigits = 3, analyte = null } = {}) {
+  const unit = `(${UNIT_PATTERN})`;
+  const num = `\\d{2,${maxDigits}}(?:\\.\\d+)?|\\d\\.\\d+|\\d(?=\\s*(?:${UNIT_PATTERN}))`;
   for (const lab of labels) {
-    const re = new RegExp(`${lab}\\s*[:=]?\\s*(\\d{2,3}(?:\\.\\d+)?)`, "i");
+    const re = new RegExp(`${lab}\\s*(?:\\(\\s*${unit}\\s*\\))?\\s*[:=]?\\s*(${num})(?:\\s*${unit})?`, "i");
     const m = text.match(re);
-    if (m) return Number(m[1]);
+    if (!m) continue;
+    const raw = Number(m[2]);
+    const unitToken = m[3] || m[1] || null;
+    const evidence = _lineEvidence(text, m.index, m[0]);
+    if (!analyte) return { value: raw, unit: normalizeUnit(unitToken), evidence };
+
+    const conv = toCanonical(analyte, raw, unitToken);
+    if (!conv) continue; // unit that does not belong to this analyte
+    return { value: conv.value, conversion: describeConversion(analyte, conv), evidence };
   }
   return null;
 }
 
+// Lab label patterns (regex sources, matched on normalized lower-case text)
+const LIPID_LABELS = {
+  LDL: {
+    labels: [
+      "ldl-c",
+      "ldl c",
+      "ldl",
+      "low-density lipoprotein",
+      "low density lipoprotein",
+      "低密度膽固醇",
+      "低密度",
+    ],
+  },
+  // "non-HDL" / "TC/HDL ratio" must not be read as HDL
+  HDL: {
+    labels: [
+      "(?<![-/\\w]|non[- ])hdl-c",
+      "(?<![-/\\w]|non[- ])hdl c",
+      "(?<![-/\\w]|non[- ])hdl",
+      "high-density lipoprotein",
+      "high density lipoprotein",
+      "高密度膽固醇",
+      "高密度",
+    ],
+  },
+  TG: {
+    labels: ["triglycerides?", "\\btg", "三酸甘油脂", "三酸甘油酯"],
+    maxDigits: 4,
+  },
+  TC: {
+    labels: ["total cholesterol", "t-chol", "t-cho", "tchol", "\\btc(?!/)", "總膽固醇"],
+  },
+  NONHDL: {
+    labels: ["non[- ]?hdl-c", "non[- ]?hdl c", "non[- ]?hdl", "非高密度膽固醇"],
+  },
+};
+
+// Non-lipid labs used by the engines (Lp(a) keeps its own unit; see labUnits.lpaStatus)
+const OTHER_LAB_LABELS = {
+  LPA: {
+    labels: ["lp\\s*\\(a\\)", "\\blpa\\b", "lipoprotein\\s*\\(a\\)", "lipoprotein a\\b", "脂蛋白\\s*\\(a\\)"],
+    analyte: null,
+  },
+  CREATININE: {
+    labels: ["creatinine", "\\bcrea\\b", "\\bscr\\b", "\\bcre\\b", "\\bcr\\b", "肌酸酐", "肌酐"],
+    maxDigits: 4,
+  },
+  // reported eGFR (mL/min/1.73m²); computed from creatinine in patientState when absent
+  EGFR: {
+    labels: ["\\begfr\\b", "估計腎絲球過濾率", "腎絲球過濾率"],
+    analyte: null,
+  },
+  GLUCOSE: {
+    labels: ["fasting (?:plasma )?glucose", "glucose", "\\bfpg\\b", "\\bfbg\\b", "\\bglu\\b", "ac sugar", "飯前血糖", "血糖"],
+  },
+  // CK (U/L) for the SAMS pathway (api/statinIntolerance.js)
+  CK: {
+    labels: ["\\bck\\b", "\\bcpk\\b", "creatine kinase", "creatine phosphokinase", "肌酸激酶"],
+    analyte: null,
+    maxDigits: 6,
+  },
+};
+
+// normalized text → { LDL, HDL, TG, TC, NONHDL, LPA, CREATININE, EGFR, GLUCOSE, CK }
+// each { value (canonical unit), conversion?, unit? (LPA), evidence } | null
+function _findLabValues(t) {
+  const out = {};
+  for (const [key, spec] of Object.entries({ ...LIPID_LABELS, ...OTHER_LAB_LABELS })) {
+    out[key] = _findNumberAfterLabels(t, spec.labels, {
+      maxDigits: spec.maxDigits,
+      analyte: spec.analyte === undefined ? key : spec.analyte,
+    });
+  }
+  return out;
+}
+
+// Raw text (one lab panel / one line) → { LDL, HDL, TG, TC, NONHDL } numbers in mg/dL | null
+export function extractLipidValues(text) {
+  const hits = _findLabValues(_normalizeText(text));
+  const out = {};
+  for (const key of Object.keys(LIPID_LABELS)) out[key] = hits[key] ? hits[key].value : null;
+  return out;
+}
+
+// ----------------------------------------------------
+// ASCVD conditions beyond ACS/PCI/CABG (those three = NHI secondary prevention, extracted below)
+// ----------------------------------------------------
+// territory: coronary | cerebral | peripheral (DLCN scores coronary vs cerebral/peripheral separately)
+// esc: counts as ESC "documented ASCVD" (very-high risk)
+// nhi: "cvd" = NHI_2_6_1_CVD_DEFINITION (→ NHI_LDL_CVD_OR_DM row), null = not in the NHI definition
+// documentation: what the NHI reviewer / ESC definition needs on file
+// upperCaseOnly: abbreviations that are also everyday words ("PAD" vs "heating pad") → only count when the
+//   note writes them in capitals (checked on the original text; matching itself runs on lower case)
+export const ASCVD_CONDITIONS = [
+  {
+    key: "hasCAD",
+    territory: "coronary",
+    label: "Angina / coronary artery disease",
+    esc: true,
+    nhi: "cvd",
+    documentation: "NHI: document how CAD was shown (angina, cath lesion, ischemic ECG or stress-test report).",
+    patterns: [
+      "stable angina",
+      "angina",
+      /\bcad\b/,
+      "coronary artery disease",
+      "coronary atherosclerosis",
+      "coronary heart disease",
+      /\bchd\b/,
+      "心絞痛",
+      "冠狀動脈疾病",
+      "冠狀動脈粥狀硬化",
+      "冠心病",
+    ],
+  },
+  {
+    key: "hasCathLesion",
+    territory: "coronary",
+    label: "Catheterization-proven coronary lesion",
+    esc: true,
+    nhi: "cvd",
+    documentation: "Keep the catheterization report on file.",
+    patterns: [
+      /\b(?:cag|cath|catheterization|coronary angiography|angiogram)\b[^.;]*(?:stenosis|lesion|occlusion|\d+\s*%)/,
+      "coronary artery stenosis",
+      "coronary stenosis",
+      /\b(?:lad|lcx|rca|lm)\b[^.;]*\d+\s*%\s*stenosis/,
+      /心導管[^。；]*(?:狹窄|阻塞)/,
+      "冠狀動脈狹窄",
+    ],
+  },
+  {
+    key: "hasIschemicEcg",
+    territory: "coronary",
+    label: "Ischemic ECG changes",
+    esc: false,
+    nhi: "cvd",
+    documentation: "Keep the ECG showing ischemic changes on file.",
+    patterns: [
+      "ischemic ecg",
+      "ischemic change",
+      /\bischemic st\b/,
+      "st depression",
+      "st-t change",
+      "t wave inversion",
+      "pathologic q wave",
+      "心電圖缺血",
+      "缺血性心電圖",
+    ],
+  },
+  {
+    key: "hasPositiveStressTest",
+    territory: "coronary",
+    label: "Positive stress test",
+    esc: false,
+    nhi: "cvd",
+    documentation: "NHI requires the stress-test report.",
+    patterns: [
+      "positive stress test",
+      "stress test positive",
+      "positive treadmill",
+      /\b(?:tmt|treadmill|stress test|thallium|mpi)\b[^.;]*(?:\(\+\)|positive|ischemia|reversible defect)/,
+      "運動心電圖陽性",
+      /心肌灌注[^。；]*缺血/,
+    ],
+  },
+  {
+    key: "hasCerebralInfarction",
+    territory: "cerebral",
+    label: "Cerebral infarction (ischemic stroke)",
+    esc: true,
+    nhi: "cvd",
+    documentation: "Keep CT/MRI confirming cerebral infarction on file.",
+    patterns: [
+      "cerebral infarction",
+      "cerebral infarct",
+      "brain infarct",
+      "ischemic stroke",
+      "lacunar infarct",
+      "腦梗塞",
+      "缺血性腦中風",
+      "缺血性中風",
+    ],
+  },
+  {
+    key: "hasStroke",
+    territory: "cerebral",
+    label: "Stroke (type not specified)",
+    esc: true,
+    nhi: null,
+    documentation: "NHI counts cerebral infarction only → document the stroke type (ischemic vs hemorrhagic, CT/MRI).",
+    // "stroke volume" (echo) / "heat stroke" are not cerebrovascular
+    patterns: [/(?<!\bheat |\bsun )\bstroke\b(?! volume)/, /\bcva\b/, "腦中風", /(?<!小)中風/],
+    // hemorrhagic stroke is not ASCVD
+    negatedPatterns: ["hemorrhagic stroke", "haemorrhagic stroke", "intracerebral hemorrhage", /\bich\b/, "腦出血", "出血性中風", "出血性腦中風"],
+  },
+  {
+    key: "hasTIA",
+    territory: "cerebral",
+    label: "TIA",
+    esc: true,
+    nhi: "cvd",
+    documentation: "NHI requires neurologist confirmation of TIA.",
+    patterns: [/\btia\b/, "transient ischemic attack", "暫時性腦缺血", "小中風"],
+  },
+  {
+    key: "hasCarotidStenosis",
+    territory: "cerebral",
+    label: "Symptomatic carotid stenosis",
+    esc: true,
+    nhi: "cvd",
+    documentation: "NHI requires SYMPTOMATIC carotid stenosis confirmed by a neurologist.",
+    patterns: ["carotid artery stenosis", "carotid stenosis", "頸動脈狹窄"],
+  },
+  {
+    key: "hasPAD",
+    territory: "peripheral",
+    label: "Peripheral artery disease",
+    esc: true,
+    nhi: null,
+    documentation: "PAD counts for ESC ASCVD only; it is not in the NHI CVD definition.",
+    upperCaseOnly: ["PAD"],
+    patterns: [
+      /\bpad\b/,
+      /\bpaod\b/,
+      "peripheral arterial disease",
+      "peripheral artery disease",
+      "peripheral arterial occlusive disease",
+      "intermittent claudication",
+      "周邊動脈疾病",
+      "周邊動脈阻塞",
+      "週邊動脈疾病",
+      "間歇性跛行",
+    ],
+  },
+];
+
+// "pad" written in lower / mixed case in the original note → masked (same length, so positions and line
+// numbers still match) before an upper-case-only abbreviation pattern runs
+function _maskLowerCaseWords(lines, rawRows, words) {
+  return lines.map((line) => {
+    const raw = rawRows[line.lineNo - 1] ?? "";
+    let text = line.text;
+    for (const w of words) {
+      const re = new RegExp(`\\b${w.toLowerCase()}\\b`, "g");
+      text = text.replace(re, (m, i) => (raw.slice(i, i + m.length) === w ? m : "_".repeat(m.length)));
+    }
+    return text === line.text ? line : { ...line, text };
+  });
+}
+
+// A relative's mention ("father: xanthoma", "FH: 高膽固醇") as its own affirmed finding
+function _familyFinding(...findings) {
+  const mention = findings.flatMap((f) => f?.mentions || []).find((m) => m.status === FINDING_STATUS.FAMILY);
+  return mention
+    ? { status: FINDING_STATUS.AFFIRMED, evidence: mention, mentions: [mention] }
+    : { status: FINDING_STATUS.ABSENT, evidence: null, mentions: [] };
+}
+
 function _parseAgeSex(text) {
   let age = null;
   let sex = null;
+  let evidence = null;
 
   // "71f", "65 m", "65yo m"
   const m1 = text.match(/\b(\d{1,3})\s*(y\/o|yo|yr|yrs|year|years)?\s*(m|f)\b/i);
+  // "65-year-old male" (Generate SOAP PI format)
+  const m3 = text.match(/\b(\d{1,3})-year-old\s+(male|female)\b/i);
   if (m1) {
     age = Number(m1[1]);
     sex = m1[3].toUpperCase();
+    evidence = _lineEvidence(text, m1.index, m1[0]);
+  } else if (m3) {
+    age = Number(m3[1]);
+    sex = m3[2] === "male" ? "M" : "F";
+    evidence = _lineEvidence(text, m3.index, m3[0]);
   }
 
   if (!sex) {
@@ -565,10 +943,13 @@ function _parseAgeSex(text) {
 
   if (!age) {
     const m2 = text.match(/\bage\s*[:=]?\s*(\d{1,3})\b/i);
-    if (m2) age = Number(m2[1]);
+    if (m2) {
+      age = Number(m2[1]);
+      evidence = _lineEvidence(text, m2.index, m2[0]);
+    }
   }
 
-  return { age: _isFiniteNum(age) ? age : null, sex };
+  return { age: _isFiniteNum(age) ? age : null, sex, evidence };
 }
 
 // ----------------------------------------------------
@@ -589,15 +970,17 @@ export function countNhiRiskFactors(patient) {
   if (Boolean(patient?.hasHTN) || Boolean(patient?.onAntiHTNMeds)) {
     matched.push({ id: "NHI_RF_HYPERTENSION", label: "Hypertension" });
   }
-  if (Boolean(patient?.hasDM)) {
-    matched.push({ id: "NHI_RF_DIABETES", label: "Diabetes" });
-  }
   if (Boolean(patient?.currentSmoker)) {
     matched.push({ id: "NHI_RF_SMOKING", label: "Current smoking" });
   }
   if (Boolean(patient?.fhPrematureASCVD)) {
     matched.push({ id: "NHI_RF_FAMILY_HISTORY", label: "FH premature ASCVD" });
   }
+  // nhiRiskFactors: NHI_RF_LOW_HDL (HDL-C <40)
+  const hdl = _parseLdlMgdl(patient?.HDL);
+  if (_isFiniteNum(hdl) && hdl < 40) {
+    matched.push({ id: "NHI_RF_LOW_HDL", label: "Low HDL-C <40" });
+  }
 
   return { count: matched.length, matched };
 }
@@ -605,21 +988,29 @@ export function countNhiRiskFactors(patient) {
 // ----------------------------------------------------
 // 2) Extract minimal patient state from SOAP free text
 // ----------------------------------------------------
+// Every flag goes through the negation layer (soapNegation.js):
+// - booleans (hasHTN, currentSmoker...) are true ONLY for affirmed mentions
+// - findings.<flag> keeps status (affirmed/negated/uncertain/family/absent) + SOAP line evidence
 export function extractPatientStateFromSoap(soap) {
   const t = _normalizeText(soap);
-  const { age, sex } = _parseAgeSex(t);
-
-  const LDL = _pickNumberAfterLabels(t, [
-    "ldl-c",
-    "ldl c",
-    "ldl",
-    "low-density lipoprotein",
-    "low density lipoprotein",
-    "低密度膽固醇",
-    "低密度",
-  ]);
+  const lines = splitSoapLines(t);
+  const ageSex = _parseAgeSex(t);
+  const { age, sex } = ageSex;
 
-  const hasACS = _hasAny(t, [
+  const labs = _findLabValues(t);
+  const { LDL: ldlHit, HDL: hdlHit, TG: tgHit, TC: tcHit, NONHDL: nonHdlHit } = labs;
+  const unitConversions = Object.values(labs)
+    .filter((h) => h?.conversion)
+    .map((h) => ({ conversion: h.conversion, lineNo: h.evidence.lineNo }));
+
+  // No direct LDL on the report → calculated LDL-C (Martin-Hopkins / Friedewald, TG ≥400 guard)
+  const ldlCalculation = ldlHit
+    ? null
+    : calculateLdl({ tc: tcHit?.value ?? null, hdl: hdlHit?.value ?? null, tg: tgHit?.value ?? null, nonHdl: nonHdlHit?.value ?? null });
+  const LDL = ldlHit ? ldlHit.value : ldlCalculation.value;
+  const ldlCalcEvidence = (tcHit || nonHdlHit)?.evidence ?? null;
+
+  const hasACSFinding = assessFinding(lines, [
     /\bacs\b/,
     "acute coronary syndrome",
     "unstable angina",
@@ -632,7 +1023,7 @@ export function extractPatientStateFromSoap(soap) {
     "心肌梗塞",
   ]);
 
-  const hasPCI = _hasAny(t, [
+  const hasPCIFinding = assessFinding(lines, [
     /\bpci\b/,
     "stent",
     "ptca",
@@ -640,21 +1031,21 @@ export function extractPatientStateFromSoap(soap) {
     "支架",
   ]);
 
-  const hasCABG = _hasAny(t, [
+  const hasCABGFinding = assessFinding(lines, [
     /\bcabg\b/,
     "coronary artery bypass",
     "bypass surgery",
     "繞道手術",
   ]);
 
-  const hasHTN = _hasAny(t, [
+  const hasHTNFinding = assessFinding(lines, [
     /\bhtn\b/,
     "hypertension",
     "high blood pressure",
     "高血壓",
   ]);
 
-  const onAntiHTNMeds = _hasAny(t, [
+  const onAntiHTNMedsFinding = assessFinding(lines, [
     // common meds (best-effort list)
     "amlodipine",
     "norvasc",
@@ -681,8 +1072,8 @@ export function extractPatientStateFromSoap(soap) {
     "降壓藥",
   ]);
 
-  const hasDM = _hasAny(t, [
-    /\bdm\b/,
+  const hasDMFinding = assessFinding(lines, [
+    /\b(?:t[12]|type\s*[12]\s*)?dm(?:\s*type\s*[12]|[12])?\b/,
     "diabetes",
     "type 2 diabetes",
     "type 1 diabetes",
@@ -702,7 +1093,7 @@ export function extractPatientStateFromSoap(soap) {
     "humalog",
   ]);
 
-  const currentSmoker = _hasAny(t, [
+  const currentSmokerFinding = assessFinding(lines, [
     "smoker",
     "smoking",
     "current smoker",
@@ -710,158 +1101,630 @@ export function extractPatientStateFromSoap(soap) {
     "pack-year",
     "抽菸",
     "吸菸",
-  ]);
+  ], {
+    // past/never smoking is NOT "current smoking"
+    negatedPatterns: [
+      "ex-smoker",
+      "former smoker",
+      "non-smoker",
+      "nonsmoker",
+      "never smoker",
+      "never smoked",
+      "quit smoking",
+      "stopped smoking",
+      "戒菸",
+    ],
+  });
 
-  const fhPrematureASCVD = _hasAny(t, [
+  const fhPrematureASCVDFinding = assessFinding(lines, [
     "family history of premature",
     "fh premature",
     "premature cad in family",
     "早發心血管家族史",
     "早發心臟病家族史",
     "家族史 早發",
+  ], { allowFamily: true });
+
+  const _valueFinding = (hit) =>
+    hit
+      ? { status: FINDING_STATUS.AFFIRMED, evidence: hit.evidence, conversion: hit.conversion ?? null }
+      : { status: FINDING_STATUS.ABSENT, evidence: null };
+
+  const ascvdFindings = {};
+  const rawRows = String(soap || "").replace(/\r\n?/g, "\n").split("\n");
+  for (const c of ASCVD_CONDITIONS) {
+    if (!c.upperCaseOnly) {
+      ascvdFindings[c.key] = assessFinding(lines, c.patterns, { negatedPatterns: c.negatedPatterns || [] });
+      continue;
+    }
+    const masked = assessFinding(_maskLowerCaseWords(lines, rawRows, c.upperCaseOnly), c.patterns, {
+      negatedPatterns: c.negatedPatterns || [],
+    });
+    // evidence quotes the note as written, not the masked line
+    const unmask = (m) => m && { ...m, text: lines[m.lineNo - 1].text.trim() };
+    ascvdFindings[c.key] = { ...masked, evidence: unmask(masked.evidence), mentions: masked.mentions.map(unmask) };
+  }
+
+  // FH (DLCN) clinical signs: the patient's own mention → sign; a relative's mention → family history
+  const tendonXanthomaFinding = assessFinding(lines, [
+    "tendon xanthoma",
+    "xanthomata",
+    "xanthoma",
+    "肌腱黃色瘤",
+    "黃色瘤",
+  ]);
+  const arcusCornealisFinding = assessFinding(lines, [
+    "arcus cornealis",
+    "corneal arcus",
+    "arcus senilis",
+    /\barcus\b/,
+    "角膜環",
+    "角膜弓",
+  ]);
+  const hypercholFinding = assessFinding(lines, [
+    "familial hypercholesterolemia",
+    "hypercholesterolemia",
+    "high cholesterol",
+    "high ldl",
+    "家族性高膽固醇",
+    "高膽固醇",
   ]);
+  const fhMutationFinding = assessFinding(lines, [
+    "ldlr mutation",
+    "apob mutation",
+    "pcsk9 mutation",
+    "ldlr variant",
+    "apob variant",
+    "pcsk9 variant",
+    "fh mutation",
+    "pathogenic variant",
+    "genetically confirmed fh",
+    "基因檢測陽性",
+    "基因突變",
+  ]);
+
+  // SAMS (api/statinIntolerance.js): muscle symptoms / rhabdomyolysis + which statins at which dose
+  const muscleSymptomsFinding = assessFinding(lines, MUSCLE_SYMPTOM_PATTERNS);
+  const rhabdoFinding = assessFinding(lines, RHABDO_PATTERNS);
+
+  // renal dosing (api/statinDosing.js): maintenance dialysis
+  const dialysisFinding = assessFinding(lines, [
+    /\bhemodialysis\b/,
+    /\bhaemodialysis\b/,
+    /\bperitoneal dialysis\b/,
+    /\bdialysis\b/,
+    /\bh\/d\b/,
+    /\bcapd\b/,
+    /\besrd on (?:hd|pd)\b/,
+    "洗腎",
+    "血液透析",
+    "腹膜透析",
+  ]);
+  // ESC risk (api/escRisk.js): kidney failure counts as eGFR <15 even when no eGFR is reported
+  const esrdFinding = assessFinding(lines, [
+    /\besrd\b/,
+    /\bend[- ]stage (?:renal|kidney) disease\b/,
+    /\bckd (?:stage )?5d?\b/,
+    "末期腎病",
+    "尿毒症",
+  ]);
+
+  // statin safety (api/statinInteractions.js): pregnancy / lactation
+  const pregnancyFinding = assessFinding(lines, PREGNANCY_PATTERNS);
+  const lactationFinding = assessFinding(lines, LACTATION_PATTERNS);
+
+  const findings = {
+    hasACS: hasACSFinding,
+    hasPCI: hasPCIFinding,
+    hasCABG: hasCABGFinding,
+    ...ascvdFindings,
+    hasHTN: hasHTNFinding,
+    onAntiHTNMeds: onAntiHTNMedsFinding,
+    hasDM: hasDMFinding,
+    currentSmoker: currentSmokerFinding,
+    fhPrematureASCVD: fhPrematureASCVDFinding,
+    tendonXanthoma: tendonXanthomaFinding,
+    arcusCornealis: arcusCornealisFinding,
+    familyHistoryXanthoma: _familyFinding(tendonXanthomaFinding, arcusCornealisFinding),
+    familyHistoryHighLdl: _familyFinding(hypercholFinding),
+    fhMutation: fhMutationFinding,
+    muscleSymptoms: muscleSymptomsFinding,
+    rhabdomyolysis: rhabdoFinding,
+    dialysis: dialysisFinding,
+    esrd: esrdFinding,
+    pregnancy: pregnancyFinding,
+    lactation: lactationFinding,
+    // value findings: evidence only (no negation status)
+    ageSex: { status: ageSex.evidence ? FINDING_STATUS.AFFIRMED : FINDING_STATUS.ABSENT, evidence: ageSex.evidence },
+    LDL: ldlHit
+      ? _valueFinding(ldlHit)
+      : LDL !== null
+        ? { status: FINDING_STATUS.AFFIRMED, evidence: ldlCalcEvidence, calculated: ldlCalculation.method }
+        : { status: FINDING_STATUS.ABSENT, evidence: null },
+    HDL: _valueFinding(hdlHit),
+    TG: _valueFinding(tgHit),
+    TC: _valueFinding(tcHit),
+    LPA: _valueFinding(labs.LPA),
+    creatinine: _valueFinding(labs.CREATININE),
+    eGFR: _valueFinding(labs.EGFR),
+    glucose: _valueFinding(labs.GLUCOSE),
+    CK: _valueFinding(labs.CK),
+  };
 
   return {
     age,
     sex, // "M"|"F"|null
-    LDL, // number|null
-    hasACS,
-    hasPCI,
-    hasCABG,
-    hasHTN,
-    onAntiHTNMeds,
-    hasDM,
-    currentSmoker,
-    fhPrematureASCVD,
+    LDL, // number|null (direct, or calculated when the report has none)
+    ldlCalculation, // null when direct LDL reported; else calculateLdl() result (value may be null)
+    nonHDL: nonHdlHit ? nonHdlHit.value : tcHit && hdlHit ? tcHit.value - hdlHit.value : null,
+    HDL: hdlHit ? hdlHit.value : null,
+    TG: tgHit ? tgHit.value : null,
+    TC: tcHit ? tcHit.value : null,
+    // Lp(a) is NOT converted (mg/dL vs nmol/L); unit null when the note does not state it
+    LPA: labs.LPA ? { value: labs.LPA.value, unit: labs.LPA.unit } : null,
+    creatinine: labs.CREATININE ? labs.CREATININE.value : null, // mg/dL
+    eGFR: labs.EGFR ? labs.EGFR.value : null, // as reported
+    glucose: labs.GLUCOSE ? labs.GLUCOSE.value : null, // mg/dL
+    CK: labs.CK ? labs.CK.value : null, // U/L
+    statinsTried: parseStatinsTried(t), // [{ statin, doseMg, intensity, intolerant, lineNo }]
+    medications: parseMedications(t), // statin-interacting drugs only: [{ drug, label, lineNo, section, text }]
+    lifestyleStart: parseLifestyleStart(t), // NHI lifestyle trial: { date: "YYYY-MM-DD", evidence } | null
+    unitConversions, // [{ conversion: "LDL 3.4 mmol/L → 131 mg/dL", lineNo }]
+    // affirmed-only booleans (negated/uncertain/family mentions do NOT count)
+    hasACS: isAffirmed(hasACSFinding),
+    hasPCI: isAffirmed(hasPCIFinding),
+    hasCABG: isAffirmed(hasCABGFinding),
+    ...Object.fromEntries(ASCVD_CONDITIONS.map((c) => [c.key, isAffirmed(ascvdFindings[c.key])])),
+    hasHTN: isAffirmed(hasHTNFinding),
+    onAntiHTNMeds: isAffirmed(onAntiHTNMedsFinding),
+    hasDM: isAffirmed(hasDMFinding),
+    currentSmoker: isAffirmed(currentSmokerFinding),
+    fhPrematureASCVD: isAffirmed(fhPrematureASCVDFinding),
+    tendonXanthoma: isAffirmed(tendonXanthomaFinding),
+    arcusCornealis: isAffirmed(arcusCornealisFinding),
+    familyHistoryXanthoma: isAffirmed(findings.familyHistoryXanthoma),
+    familyHistoryHighLdl: isAffirmed(findings.familyHistoryHighLdl),
+    fhMutation: isAffirmed(fhMutationFinding),
+    muscleSymptoms: isAffirmed(muscleSymptomsFinding),
+    rhabdomyolysis: isAffirmed(rhabdoFinding),
+    dialysis: isAffirmed(dialysisFinding),
+    esrd: isAffirmed(esrdFinding),
+    pregnancy: isAffirmed(pregnancyFinding),
+    lactation: isAffirmed(lactationFinding),
+    findings,
     _debug: { extractedFrom: "soap", ageSexFound: { age, sex } },
   };
 }
 
+// Uncertain mentions are NOT counted, but the physician should see why
+export function uncertainFindingReminders(findings) {
+  const labels = {
+    hasACS: "ACS",
+    hasPCI: "PCI",
+    hasCABG: "CABG",
+    hasHTN: "Hypertension",
+    onAntiHTNMeds: "Antihypertensive medication",
+    hasDM: "Diabetes",
+    currentSmoker: "Current smoking",
+    fhPrematureASCVD: "FH premature ASCVD",
+    tendonXanthoma: "Tendon xanthoma",
+    arcusCornealis: "Arcus cornealis",
+    fhMutation: "FH genetic variant",
+    muscleSymptoms: "Statin-associated muscle symptoms",
+    dialysis: "Dialysis",
+    esrd: "ESRD / kidney failure",
+    pregnancy: "Pregnancy",
+    lactation: "Breastfeeding",
+    ...Object.fromEntries(ASCVD_CONDITIONS.map((c) => [c.key, c.label])),
+  };
+  return Object.keys(labels)
+    .filter((k) => findings?.[k]?.status === FINDING_STATUS.UNCERTAIN)
+    .map((k) => {
+      const ev = findings[k].evidence;
+      return `${labels[k]} documented as uncertain (SOAP line ${ev.lineNo}: "${ev.text}") → not counted; confirm and document explicitly.`;
+    });
+}
+
 // ----------------------------------------------------
-// 3) Determine NHI reimbursement eligibility
+// 3) Determine NHI reimbursement eligibility (LDL/TC, table-driven)
 // ----------------------------------------------------
-export function getNhiEligibility(patient) {
+// Rows: lipidEvidence.nhi NHI_LDL_* (appliesWhen + startThreshold + goal + lifestyleTrial).
+// patient: { sex, age, LDL, TC, HDL, hasACS, hasPCI, hasCABG, hasCVD, cvdBasis, hasHTN, onAntiHTNMeds,
+//            hasDM, currentSmoker, fhPrematureASCVD, lifestyleStartDate, lifestyleStartSource }
+// options.today: "YYYY-MM-DD" (default: today, Asia/Taipei)
+// Rows with lifestyleTrial (primary prevention): threshold met but trial not yet elapsed → eligible false +
+// eligibleAfter (api/lifestyleTrial.js); no start date on file → eligible false + pendingLifestyleTrial
+// (reimbursable only once the 3–6 months are documented).
+// hasACS/PCI/CABG → secondary prevention row; hasCVD (NHI_2_6_1_CVD_DEFINITION) → CVD-or-DM row
+// Every decision returns evidenceId; null = no row applies (e.g. primary prevention + 0 RF).
+function _nhiLdlRows() {
+  return (lipidEvidence.nhi || []).filter(
+    (e) => e.id.startsWith("NHI_LDL_") && e.appliesWhen && typeof e.startThreshold === "object"
+  );
+}
+
+// appliesWhen: boolean keys must equal ctx; "<key>_gte|gt|lte|lt|eq" compare numbers
+function _rowApplies(appliesWhen, ctx) {
+  return Object.entries(appliesWhen).every(([key, want]) => {
+    const m = key.match(/^(\w+?)_(gte|gt|lte|lt|eq)$/);
+    if (!m) return Boolean(ctx[key]) === want;
+    const x = ctx[m[1]];
+    if (!_isFiniteNum(x)) return false;
+    return m[2] === "eq" ? x === want : NHI_OPS[m[2]].test(x, want);
+  });
+}
+
+export function getNhiEligibility(patient, { today } = {}) {
   const ldl = _parseLdlMgdl(patient?.LDL);
+  const tc = _parseLdlMgdl(patient?.TC);
   const rf = countNhiRiskFactors(patient);
 
   // Secondary prevention definition (uploaded summary): ACS or PCI/CABG for coronary atherosclerosis
-  const isSecondary =
+  const secondaryPrevention =
     Boolean(patient?.hasACS) || Boolean(patient?.hasPCI) || Boolean(patient?.hasCABG);
+  const ctx = {
+    secondaryPrevention,
+    cvdOrDm: secondaryPrevention || Boolean(patient?.hasCVD) || Boolean(patient?.hasDM),
+    riskFactorCount: rf.count,
+  };
+
+  const row = _nhiLdlRows().find((r) => _rowApplies(r.appliesWhen, ctx)) || null;
 
   const result = {
-    category: isSecondary ? "secondary_prevention" : "primary_prevention",
+    category: row?.category ?? (secondaryPrevention ? "secondary_prevention" : "primary_prevention"),
+    evidenceId: row?.id ?? null,
     ldl_mgdl: ldl,
+    tc_mgdl: tc,
     riskFactorCount: rf.count,
     matchedRiskFactors: rf.matched,
     eligible: false,
-    threshold_mgdl: null,
-    goal_mgdl: null,
+    threshold_mgdl: row ? row.startThreshold.ldl_mgdl_gte ?? row.startThreshold.or_ldl_mgdl_gte ?? null : null,
+    goal_mgdl: row ? row.goal?.ldl_mgdl_lt ?? row.goal?.or_ldl_mgdl_lt ?? null : null,
+    startThreshold: row ? describeNhiThreshold(row.startThreshold) : null,
+    goal: row ? describeNhiThreshold(row.goal) : null,
+    lifestyleTrial: row?.lifestyleTrial ?? null,
+    lifestyleTrialProgress: null,
+    eligibleAfter: null,
+    pendingLifestyleTrial: false,
+    criteriaMet: [],
     rationale: [],
     reminders: [],
   };
 
-  if (!_isFiniteNum(ldl)) {
-    result.rationale.push("LDL value missing/invalid → cannot determine NHI eligibility.");
+  if (!row) {
+    result.rationale.push(
+      `Primary prevention + ${rf.count} risk factors → no NHI reimbursement row applies (本 evidence pack 未涵蓋).`
+    );
+    result.reminders.push("Ensure risk factors are explicitly documented (HTN/smoking/age/FH/low HDL) for auditability.");
     return result;
   }
 
-  if (isSecondary) {
-    result.threshold_mgdl = 70;
-    result.goal_mgdl = 70; // goal is <70
-    if (ldl >= 70) {
-      result.eligible = true;
-      result.rationale.push("Secondary prevention (ACS/PCI/CABG) + LDL ≥70 → eligible per NHI 2.6.1 logic.");
-    } else {
-      result.eligible = false;
-      result.rationale.push("Secondary prevention present but LDL <70 → does not meet NHI start threshold (2.6.1).");
-    }
-    result.reminders.push("Follow-up lipids: Year 1 every 3–6 months; Year ≥2 every 6–12 months.");
-    result.reminders.push("Document safety monitoring: liver function abnormality and rhabdomyolysis.");
-    result.reminders.push("Lifestyle modification may be done in parallel with drug therapy (no mandatory lifestyle-only trial first).");
-    return result;
+  if (row.category === "cvd_or_dm") {
+    const basis = [...(patient?.cvdBasis || []), ...(patient?.hasDM ? ["diabetes"] : [])];
+    if (basis.length) result.rationale.push(`NHI CVD/DM basis: ${basis.join(", ")}.`);
   }
 
-  // Primary prevention operational thresholds:
-  // - ≥2 RF: LDL ≥130
-  // - ≥1 RF: LDL ≥160
-  if (rf.count >= 2) {
-    result.threshold_mgdl = 130;
-    if (ldl >= 130) {
-      result.eligible = true;
-      result.rationale.push("Primary prevention + ≥2 risk factors + LDL ≥130 → eligible (operational NHI rule).");
-    } else {
-      result.eligible = false;
-      result.rationale.push("Primary prevention + ≥2 risk factors but LDL <130 → not eligible by threshold.");
-    }
-  } else if (rf.count >= 1) {
-    result.threshold_mgdl = 160;
-    if (ldl >= 160) {
-      result.eligible = true;
-      result.rationale.push("Primary prevention + ≥1 risk factor + LDL ≥160 → eligible (operational NHI rule).");
-    } else {
-      result.eligible = false;
-      result.rationale.push("Primary prevention + ≥1 risk factor but LDL <160 → not eligible by threshold.");
+  const who = `${row.appliesTo}${row.category === "primary_prevention" ? ` (${rf.count} RF)` : ""}`;
+  const check = evaluateNhiThreshold(row.startThreshold, { ldl_mgdl: ldl, tc_mgdl: tc });
+  result.criteriaMet = check.matched;
+  const trial = _lifestyleTrialProgress(row, patient, today);
+  result.lifestyleTrialProgress = trial;
+
+  if (check.met === true && trial?.status === "in_progress") {
+    result.eligibleAfter = trial.eligibleAfter;
+    result.rationale.push(
+      `${who} + ${check.matched.join(", ")}, but lifestyle trial started ${trial.startDate} (${trial.source}) → ` +
+        `eligible after ${trial.eligibleAfter} (${row.id}).`
+    );
+  } else if (check.met === true && trial?.status === "not_documented") {
+    result.pendingLifestyleTrial = true;
+    result.rationale.push(
+      `${who} + ${check.matched.join(", ")}, but no lifestyle-trial start date on file → pending until ` +
+        `${trial.minMonths}–${trial.maxMonths} months of lifestyle therapy are documented (${row.id}).`
+    );
+  } else if (check.met === true) {
+    result.eligible = true;
+    result.rationale.push(`${who} + ${check.matched.join(", ")} → eligible (${row.id}).`);
+    if (trial?.status === "completed") {
+      result.rationale.push(`Lifestyle trial since ${trial.startDate} (${trial.source}) ≥${trial.minMonths} months → completed.`);
     }
+  } else if (check.met === null) {
+    result.rationale.push(
+      `${who}: ${check.missing.join("/")} missing/invalid → cannot confirm ${result.startThreshold} (${row.id}).`
+    );
   } else {
-    result.threshold_mgdl = null;
-    result.eligible = false;
-    result.rationale.push("Primary prevention + 0 risk factors → operational rule not defined here.");
+    result.rationale.push(`${who}: does not meet ${result.startThreshold} → not eligible (${row.id}).`);
   }
 
-  result.reminders.push("Ensure risk factors are explicitly documented (HTN/DM/smoking/age/FH) for auditability.");
+  if (trial && check.met === true) {
+    result.reminders.push(lifestyleTrialReminder(trial, { threshold: result.startThreshold, evidenceId: row.id }));
+  } else if (row.lifestyleTrial) {
+    result.reminders.push(
+      `Document ${row.lifestyleTrial.minMonths}–${row.lifestyleTrial.maxMonths} months of lifestyle/nonpharmacologic therapy before starting medication.`
+    );
+  } else {
+    result.reminders.push("Lifestyle modification may be done in parallel with drug therapy (no mandatory lifestyle-only trial first).");
+  }
+  if (row.followUp) result.reminders.push(`Follow-up: ${row.followUp}`);
+  if (row.category === "primary_prevention") {
+    result.reminders.push("Ensure risk factors are explicitly documented (HTN/smoking/age/FH/low HDL) for auditability.");
+  }
   return result;
 }
 
+function _lifestyleTrialProgress(row, patient, today) {
+  return assessLifestyleTrial(row.lifestyleTrial, {
+    startDate: patient?.lifestyleStartDate ?? null,
+    source: patient?.lifestyleStartSource ?? null,
+    today,
+  });
+}
+
 // Convenience wrapper
 export function getNhiEligibilityFromSoap(soap) {
   const patient = extractPatientStateFromSoap(soap);
-  return getNhiEligibility({
+  const cvdBasis = ASCVD_CONDITIONS.filter((c) => c.nhi === "cvd" && patient[c.key]).map((c) => c.label);
+  const result = getNhiEligibility({
     sex: patient.sex,
     age: patient.age,
     LDL: patient.LDL,
+    TC: patient.TC,
+    HDL: patient.HDL,
     hasACS: patient.hasACS,
     hasPCI: patient.hasPCI,
     hasCABG: patient.hasCABG,
+    hasCVD: cvdBasis.length > 0,
+    cvdBasis,
     hasHTN: patient.hasHTN,
     onAntiHTNMeds: patient.onAntiHTNMeds,
     hasDM: patient.hasDM,
     currentSmoker: patient.currentSmoker,
     fhPrematureASCVD: patient.fhPrematureASCVD,
+    lifestyleStartDate: patient.lifestyleStart?.date ?? null,
+    lifestyleStartSource: patient.lifestyleStart ? `SOAP line ${patient.lifestyleStart.evidence.lineNo}` : null,
   });
+  result.reminders.push(...uncertainFindingReminders(patient.findings));
+  if (patient.ldlCalculation?.value != null) {
+    result.reminders.push(`LDL-C not reported → ${patient.ldlCalculation.derivation}. Document as calculated value.`);
+  } else if (patient.ldlCalculation?.note && patient.TG !== null) {
+    result.reminders.push(patient.ldlCalculation.note);
+  }
+  return result;
+}
+
+// ----------------------------------------------------
+// 4) Machine-readable NHI threshold evaluator
+// ----------------------------------------------------
+// startThreshold / goal objects in lipidEvidence.nhi:
+//   { tg_mgdl_gte: 200, and_either: ["tc_hdl_ratio_gt_5", "hdl_mgdl_lt_40"] }
+//   { tc_mgdl_gte: 160, or_ldl_mgdl_gte: 100 }
+// - plain keys are ANDed; and_either = at least one token must hold
+// - "or_" keys are alternatives to the whole plain-key group
+// labs: { ldl_mgdl, tc_mgdl, tg_mgdl, hdl_mgdl, tc_hdl_ratio } (null = not measured)
+// → { met: true | false | null (missing lab), matched: [...], missing: [...] }
+const NHI_METRIC_LABELS = {
+  ldl_mgdl: "LDL-C",
+  tc_mgdl: "TC",
+  tg_mgdl: "TG",
+  hdl_mgdl: "HDL-C",
+  tc_hdl_ratio: "TC/HDL",
+};
+const NHI_OPS = {
+  gte: { sym: "≥", test: (a, b) => a >= b },
+  gt: { sym: ">", test: (a, b) => a > b },
+  lte: { sym: "≤", test: (a, b) => a <= b },
+  lt: { sym: "<", test: (a, b) => a < b },
+};
+
+function _parseCriterion(key, value) {
+  const m = key.match(/^(ldl_mgdl|tc_mgdl|tg_mgdl|hdl_mgdl|tc_hdl_ratio)_(gte|gt|lte|lt)(?:_(\d+(?:\.\d+)?))?$/);
+  if (!m) return null;
+  return { metric: m[1], op: m[2], threshold: m[3] !== undefined ? Number(m[3]) : Number(value) };
+}
+
+function _checkCriterion(c, labs, acc) {
+  const x = labs?.[c.metric];
+  if (!_isFiniteNum(x)) {
+    acc.missing.add(NHI_METRIC_LABELS[c.metric]);
+    return null;
+  }
+  const ok = NHI_OPS[c.op].test(x, c.threshold);
+  if (ok) acc.matched.push(`${NHI_METRIC_LABELS[c.metric]} ${x} ${NHI_OPS[c.op].sym} ${c.threshold}`);
+  return ok;
+}
+
+// tri-state helpers: false dominates AND, true dominates OR
+function _all(results) {
+  if (results.includes(false)) return false;
+  return results.includes(null) ? null : true;
+}
+function _any(results) {
+  if (results.includes(true)) return true;
+  return results.includes(null) ? null : false;
+}
+
+export function evaluateNhiThreshold(criteria, labs) {
+  const acc = { matched: [], missing: new Set() };
+  const plain = [];
+  const alternatives = [];
+
+  for (const [key, value] of Object.entries(criteria || {})) {
+    if (key === "and_either") {
+      const tokens = (value || []).map((tok) => _parseCriterion(tok)).filter(Boolean);
+      plain.push(_any(tokens.map((c) => _checkCriterion(c, labs, acc))));
+      continue;
+    }
+    const alt = key.startsWith("or_");
+    const c = _parseCriterion(alt ? key.slice(3) : key, value);
+    if (!c) continue;
+    (alt ? alternatives : plain).push(_checkCriterion(c, labs, acc));
+  }
+
+  const met = alternatives.length ? _any([_all(plain), ...alternatives]) : _all(plain);
+  return { met, matched: acc.matched, missing: [...acc.missing] };
+}
+
+// Human-readable threshold ("TG ≥200 AND (TC/HDL >5 OR HDL-C <40)")
+export function describeNhiThreshold(criteria) {
+  const fmt = (c) => `${NHI_METRIC_LABELS[c.metric]} ${NHI_OPS[c.op].sym}${c.threshold}`;
+  const plain = [];
+  const alternatives = [];
+  for (const [key, value] of Object.entries(criteria || {})) {
+    if (key === "and_either") {
+      const tokens = (value || []).map((tok) => _parseCriterion(tok)).filter(Boolean);
+      plain.push(`(${tokens.map(fmt).join(" OR ")})`);
+      continue;
+    }
+    const alt = key.startsWith("or_");
+    const c = _parseCriterion(alt ? key.slice(3) : key, value);
+    if (c) (alt ? alternatives : plain).push(fmt(c));
+  }
+  return [plain.join(" AND "), ...alternatives].filter(Boolean).join(" OR ");
+}
+
+// ----------------------------------------------------
+// 5) NHI triglyceride-lowering (fibrate / omega-3) eligibility
+// ----------------------------------------------------
+// Table-driven from lipidEvidence.nhi NHI_TG_* rows (population + startThreshold + lifestyleTrial).
+// patient: { TG, HDL, TC, hasCVD, hasDM, lifestyleStartDate, lifestyleStartSource }; options.today as above
+export function getNhiTgEligibility(patient, { today } = {}) {
+  const tg = _parseLdlMgdl(patient?.TG);
+  const hdl = _parseLdlMgdl(patient?.HDL);
+  const tc = _parseLdlMgdl(patient?.TC);
+  const ratio = _isFiniteNum(tc) && _isFiniteNum(hdl) && hdl > 0 ? Math.round((tc / hdl) * 100) / 100 : null;
+  const labs = { tg_mgdl: tg, hdl_mgdl: hdl, tc_mgdl: tc, tc_hdl_ratio: ratio };
+
+  const cvdOrDm = Boolean(patient?.hasCVD) || Boolean(patient?.hasDM);
+  const population = cvdOrDm ? "cvd_or_dm" : "no_cvd";
+  const rows = (lipidEvidence.nhi || []).filter((e) => e.id.startsWith("NHI_TG_") && e.population === population);
+
+  const result = {
+    drugClass: "TG-lowering (fibrate / omega-3)",
+    category: population,
+    tg_mgdl: tg,
+    hdl_mgdl: hdl,
+    tc_mgdl: tc,
+    tcHdlRatio: ratio,
+    eligible: false,
+    evidenceId: null,
+    startThreshold: null,
+    goal: null,
+    lifestyleTrial: null,
+    lifestyleTrialProgress: null,
+    eligibleAfter: null,
+    pendingLifestyleTrial: false,
+    criteriaMet: [],
+    rationale: [],
+    reminders: [],
+  };
+
+  if (!_isFiniteNum(tg)) {
+    result.rationale.push("TG value missing/invalid → cannot determine NHI TG-lowering eligibility.");
+    return result;
+  }
+
+  const evaluated = rows.map((row) => ({ row, ...evaluateNhiThreshold(row.startThreshold, labs) }));
+  // several rows met → prefer the one allowing concurrent drug therapy (no lifestyle-only trial)
+  const met = evaluated
+    .filter((e) => e.met === true)
+    .sort((a, b) => (a.row.lifestyleTrial ? 1 : 0) - (b.row.lifestyleTrial ? 1 : 0));
+  // none met → cite the lowest-TG row (the one the patient would have to reach first)
+  const nearest = evaluated
+    .slice()
+    .sort((a, b) => (a.row.startThreshold?.tg_mgdl_gte ?? 0) - (b.row.startThreshold?.tg_mgdl_gte ?? 0))[0];
+  const chosen = met[0] || nearest;
+  if (!chosen) {
+    result.rationale.push(`No NHI TG row for population ${population}.`);
+    return result;
+  }
+
+  const trial = _lifestyleTrialProgress(chosen.row, patient, today);
+  // trial still running or not documented → not reimbursable yet
+  result.eligible = chosen.met === true && !["in_progress", "not_documented"].includes(trial?.status);
+  result.evidenceId = chosen.row.id;
+  result.startThreshold = describeNhiThreshold(chosen.row.startThreshold);
+  result.goal = describeNhiThreshold(chosen.row.goal);
+  result.lifestyleTrial = chosen.row.lifestyleTrial ?? null;
+  result.lifestyleTrialProgress = trial;
+  result.criteriaMet = chosen.matched;
+
+  const who = cvdOrDm ? "CVD or diabetes" : "No CVD/diabetes";
+  if (chosen.met === true && trial?.status === "not_documented") {
+    result.pendingLifestyleTrial = true;
+    result.rationale.push(
+      `${who} + ${chosen.matched.join(", ")}, but no lifestyle-trial start date on file → pending until ` +
+        `${trial.minMonths}–${trial.maxMonths} months of lifestyle therapy are documented (${chosen.row.id}).`
+    );
+  } else if (chosen.met === true && !result.eligible) {
+    result.eligibleAfter = trial.eligibleAfter;
+    result.rationale.push(
+      `${who} + ${chosen.matched.join(", ")}, but lifestyle trial started ${trial.startDate} (${trial.source}) → ` +
+        `eligible after ${trial.eligibleAfter} (${chosen.row.id}).`
+    );
+  } else if (result.eligible) {
+    result.rationale.push(`${who} + ${chosen.matched.join(", ")} → eligible (${chosen.row.id}).`);
+  } else if (chosen.met === null) {
+    result.rationale.push(
+      `${who}: TG ${tg} but ${chosen.missing.join("/")} missing → cannot confirm ${result.startThreshold} (${chosen.row.id}).`
+    );
+  } else {
+    result.rationale.push(`${who}: does not meet ${result.startThreshold} → not eligible (${chosen.row.id}).`);
+  }
+
+  if (trial && chosen.met === true) {
+    result.reminders.push(
+      lifestyleTrialReminder(trial, {
+        threshold: result.startThreshold,
+        evidenceId: chosen.row.id,
+        drug: "TG-lowering drugs",
+      })
+    );
+  } else if (result.lifestyleTrial) {
+    result.reminders.push(
+      `Document ${result.lifestyleTrial.minMonths}–${result.lifestyleTrial.maxMonths} months of lifestyle/nonpharmacologic therapy before starting TG-lowering drugs.`
+    );
+  } else if (result.eligible) {
+    result.reminders.push("Lifestyle modification may be done in parallel with drug therapy.");
+  }
+  if (chosen.row.followUp) result.reminders.push(`Follow-up: ${chosen.row.followUp}`);
+  return result;
 }
 
 // ==================================================
 // 7) ESC/EAS 2025 – STATIN DOSE SUGGESTION (OPERATIONAL)
 // ==================================================
+// options: { statin, doseMg: [min, max], label } — statin null = non-drug option;
+// statin / doseMg let the SAMS pathway (api/statinIntolerance.js) filter and step down, and the
+// renal / ancestry layer (api/statinDosing.js) cap the range — the Plan prompt never sees this raw table
 export const escStatinDoseSuggestion = {
   very_high: {
     goal: "LDL-C <55 mg/dL AND ≥50% reduction",
     options: [
-      "Atorvastatin 40–80 mg daily",
-      "Rosuvastatin 20–40 mg daily",
+      { statin: "atorvastatin", doseMg: [40, 80], label: "Atorvastatin 40–80 mg daily" },
+      { statin: "rosuvastatin", doseMg: [20, 40], label: "Rosuvastatin 20–40 mg daily" },
     ],
   },
   high: {
     goal: "LDL-C <70 mg/dL AND ≥50% reduction",
     options: [
-      "Atorvastatin 20–40 mg daily",
-      "Rosuvastatin 10–20 mg daily",
+      { statin: "atorvastatin", doseMg: [20, 40], label: "Atorvastatin 20–40 mg daily" },
+      { statin: "rosuvastatin", doseMg: [10, 20], label: "Rosuvastatin 10–20 mg daily" },
     ],
   },
   moderate: {
     goal: "LDL-C <100 mg/dL",
     options: [
-      "Atorvastatin 10–20 mg daily",
-      "Rosuvastatin 5–10 mg daily",
-      "Simvastatin 20–40 mg daily",
+      { statin: "atorvastatin", doseMg: [10, 20], label: "Atorvastatin 10–20 mg daily" },
+      { statin: "rosuvastatin", doseMg: [5, 10], label: "Rosuvastatin 5–10 mg daily" },
+      { statin: "simvastatin", doseMg: [20, 40], label: "Simvastatin 20–40 mg daily" },
     ],
   },
   low: {
     goal: "No fixed LDL-C target; shared decision",
     options: [
-      "Lifestyle modification ± low-dose statin",
-      "Atorvastatin 10 mg daily",
-      "Rosuvastatin 5 mg daily",
+      { statin: null, doseMg: null, label: "Lifestyle modification ± low-dose statin" },
+      { statin: "atorvastatin", doseMg: [10, 10], label: "Atorvastatin 10 mg daily" },
+      { statin: "rosuvastatin", doseMg: [5, 5], label: "Rosuvastatin 5 mg daily" },
     ],
   },
 };
@@ -0,0 +1,206 @@
+// api/lipidHistory.js
+// =====================================================
+// Dated lipid history + baseline-aware LDL target tracking (NO LLM REQUIRED)
+// Goal: ESC targets are "LDL-C < X AND ≥50% reduction from baseline", NHI has its own goal;
+// one LDL number cannot answer either. This module works on a dated series.
+//
+// Inputs:
+// - parseLipidHistory(text): pasted panels from the Free note, e.g.
+//     2023/03/02 LDL 168 TC 250 HDL 45 TG 180 (untreated)
+//     113/06/10  LDL-C: 92  on Atorvastatin 20 mg       ← ROC year (113 → 2024)
+//   A date line starts a panel; following lines without a date belong to it.
+// - normalizeLipidHistory(array): structured body.lipidHistory
+//     [{ date: "2024-06-10", ldl, tc, hdl, tg, onTherapy?: boolean, therapy?: "..." }]
+//
+// trackLdlTargets({ history, escRisk, nhi, currentLdl }) →
+//   { entries, baseline, latest, percentReduction, esc, nhiGoal, escalation, notes }
+// =====================================================
+
+import { extractLipidValues, evaluateNhiThreshold, lipidEvidence } from "./lipidEvidence.js";
+import { DATE_RE, toIsoDate } from "./dates.js";
+
+// drug name (+ dose when written right after it: "Atorvastatin 20 mg")
+const THERAPY_RE =
+  /(?:atorvastatin|rosuvastatin|pitavastatin|simvastatin|pravastatin|lovastatin|fluvastatin|ezetimibe|lipitor|crestor|livalo|vytorin|atozet|statin|立普妥|冠脂妥|依折麥布|降血脂藥)(?:\s*\d+(?:\.\d+)?(?:\/\d+)?\s*mg)?/i;
+const UNTREATED_RE =
+  /untreated|drug[- ]naive|treatment[- ]naive|no statin|not on statin|off statin|before statin|baseline|未服藥|未用藥|未治療|尚未用藥/i;
+const EZETIMIBE_RE = /ezetimibe|vytorin|atozet|依折麥布/i;
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+function _therapyFrom(text) {
+  // untreated wording wins ("baseline before statin")
+  if (UNTREATED_RE.test(text)) return { onTherapy: false, therapy: null };
+  const m = text.match(THERAPY_RE);
+  if (m) return { onTherapy: true, therapy: m[0] };
+  return { onTherapy: null, therapy: null };
+}
+
+// ----------------------------------------------------
+// 1) Free-note panels → entries
+// ----------------------------------------------------
+export function parseLipidHistory(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const panels = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    const m = line.match(DATE_RE);
+    const date = m ? toIsoDate(m[1], m[2], m[3]) : null;
+    if (date) {
+      current = { date, lineNo: i + 1, lines: [line.replace(m[0], " ")] };
+      panels.push(current);
+    } else if (current && line.trim()) {
+      current.lines.push(line);
+    }
+  });
+
+  return panels
+    .map((p) => {
+      const body = p.lines.join("\n");
+      const v = extractLipidValues(body);
+      return {
+        date: p.date,
+        ldl: v.LDL,
+        tc: v.TC,
+        hdl: v.HDL,
+        tg: v.TG,
+        ..._therapyFrom(body),
+        source: { lineNo: p.lineNo, text: lines[p.lineNo - 1].trim() },
+      };
+    })
+    .filter((e) => [e.ldl, e.tc, e.hdl, e.tg].some(_isFiniteNum));
+}
+
+// ----------------------------------------------------
+// 2) Structured body.lipidHistory → entries (invalid items dropped)
+// ----------------------------------------------------
+export function normalizeLipidHistory(list) {
+  if (!Array.isArray(list)) return [];
+  const num = (x) => (x === null || x === undefined || x === "" ? null : Number.isFinite(Number(x)) ? Number(x) : null);
+
+  return list
+    .map((item) => {
+      const m = typeof item?.date === "string" ? item.date.match(DATE_RE) : null;
+      const date = m ? toIsoDate(m[1], m[2], m[3]) : null;
+      if (!date) return null;
+      const therapy = typeof item.therapy === "string" && item.therapy ? item.therapy : null;
+      return {
+        date,
+        ldl: num(item.ldl),
+        tc: num(item.tc),
+        hdl: num(item.hdl),
+        tg: num(item.tg),
+        onTherapy: typeof item.onTherapy === "boolean" ? item.onTherapy : therapy ? true : null,
+        therapy,
+        source: { label: "request lipidHistory" },
+      };
+    })
+    .filter((e) => e && [e.ldl, e.tc, e.hdl, e.tg].some(_isFiniteNum));
+}
+
+// ----------------------------------------------------
+// 3) Baseline / % reduction / ESC + NHI goal / escalation
+// ----------------------------------------------------
+// Baseline = earliest LDL documented as untreated; otherwise the earliest LDL before the first
+// on-therapy panel (assumed untreated, flagged in notes). No baseline if every panel is on therapy.
+function _pickBaseline(withLdl) {
+  const documented = withLdl.find((e) => e.onTherapy === false);
+  if (documented) return { ...documented, basis: "documented_untreated" };
+
+  const firstTreated = withLdl.findIndex((e) => e.onTherapy === true);
+  if (firstTreated === 0) return null;
+  return { ...withLdl[0], basis: "assumed_pre_treatment" };
+}
+
+export function trackLdlTargets({ history = [], escRisk = null, nhi = null, currentLdl = null } = {}) {
+  const entries = history.slice().sort((a, b) => a.date.localeCompare(b.date));
+  const withLdl = entries.filter((e) => _isFiniteNum(e.ldl));
+  const notes = [];
+
+  const baselineEntry = _pickBaseline(withLdl);
+  let latest = withLdl.length ? withLdl[withLdl.length - 1] : null;
+  if (!latest && _isFiniteNum(currentLdl)) {
+    latest = { date: null, ldl: currentLdl, onTherapy: null, therapy: null, source: { label: "current note" } };
+    notes.push("No dated LDL in history; current note LDL used as latest value.");
+  }
+
+  const baseline =
+    baselineEntry && latest && (latest.date === null || latest.date > baselineEntry.date) ? baselineEntry : null;
+  if (baselineEntry?.basis === "assumed_pre_treatment" && baseline) {
+    notes.push(`Baseline ${baseline.date} assumed untreated (panel precedes first documented therapy) — confirm.`);
+  }
+  if (!baselineEntry && withLdl.length) {
+    notes.push("No untreated baseline LDL identified → % reduction cannot be assessed.");
+  } else if (baselineEntry && !baseline) {
+    notes.push(`Only the baseline LDL (${baselineEntry.date}) is available → % reduction pending follow-up panel.`);
+  }
+
+  const percentReduction =
+    baseline && latest ? Math.round(((baseline.ldl - latest.ldl) / baseline.ldl) * 1000) / 10 : null;
+
+  // ESC: both components (absolute + % reduction)
+  const target = escRisk?.ldlTarget || {};
+  const esc = {
+    category: escRisk?.category ?? null,
+    evidenceId: target.evidenceId ?? null,
+    targetMgdl: target.mgdl ?? null,
+    requiredReduction: target.percentReduction ?? null,
+    absoluteMet: null,
+    reductionMet: null,
+    met: null,
+  };
+  if (_isFiniteNum(esc.targetMgdl) && latest) {
+    esc.absoluteMet = latest.ldl < esc.targetMgdl;
+    esc.reductionMet = _isFiniteNum(esc.requiredReduction)
+      ? percentReduction === null
+        ? null
+        : percentReduction >= esc.requiredReduction
+      : true;
+    esc.met = esc.absoluteMet === false || esc.reductionMet === false ? false : esc.reductionMet === null ? null : true;
+  }
+
+  // NHI goal from the same row the eligibility engine picked
+  const row = nhi?.evidenceId ? (lipidEvidence.nhi || []).find((e) => e.id === nhi.evidenceId) : null;
+  const nhiGoal = { evidenceId: row?.id ?? null, goal: nhi?.goal ?? null, met: null, matched: [] };
+  if (row?.goal && latest) {
+    const check = evaluateNhiThreshold(row.goal, { ldl_mgdl: latest.ldl, tc_mgdl: latest.tc ?? null });
+    nhiGoal.met = check.met;
+    nhiGoal.matched = check.matched;
+  }
+
+  // Escalation: on therapy and ESC target (either component) not met → ezetimibe first add-on
+  const onTherapy = latest?.onTherapy === true;
+  const escalation = { indicated: false, evidenceId: null, alreadyOnEzetimibe: false, message: null };
+  if (esc.met === false && onTherapy) {
+    escalation.indicated = true;
+    escalation.evidenceId = "ESC2025_EZETIMIBE_FIRST_ADDON";
+    escalation.alreadyOnEzetimibe = EZETIMIBE_RE.test(latest.therapy || "");
+    const missed = [
+      esc.absoluteMet === false ? `LDL-C ${latest.ldl} ≥ ${esc.targetMgdl}` : null,
+      esc.reductionMet === false ? `reduction ${percentReduction}% < ${esc.requiredReduction}%` : null,
+    ]
+      .filter(Boolean)
+      .join(", ");
+    escalation.message = escalation.alreadyOnEzetimibe
+      ? `Not at ESC target on ${latest.therapy} (${missed}); already on ezetimibe → review next step per evidence pack.`
+      : `Not at ESC target on ${latest.therapy} (${missed}) → if statin is maximally tolerated, add ezetimibe before PCSK9 inhibitor (ESC2025_EZETIMIBE_FIRST_ADDON).`;
+  } else if (esc.met === false && !onTherapy) {
+    notes.push("ESC target not met but latest panel is not documented as on therapy → start/optimise statin first.");
+  }
+
+  return {
+    entries,
+    baseline: baseline ? { date: baseline.date, ldl: baseline.ldl, basis: baseline.basis, source: baseline.source } : null,
+    latest: latest
+      ? { date: latest.date, ldl: latest.ldl, onTherapy: latest.onTherapy, therapy: latest.therapy, source: latest.source }
+      : null,
+    percentReduction,
+    esc,
+    nhiGoal,
+    escalation,
+    notes,
+  };
+}
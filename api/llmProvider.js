@@ -0,0 +1,387 @@
+// api/llmProvider.js
+// =====================================================
+// Pluggable LLM provider layer
+// Goal: route to OpenAI, an on-prem OpenAI-compatible server (vLLM/Ollama), or a mock,
+// depending on data-governance rules — without touching prompt/engine code.
+//
+// Env config:
+// - LLM_PROVIDER: "openai" (default) | "openai_compatible" | "mock"
+// - LLM_BASE_URL: default https://api.openai.com/v1 (e.g. http://10.0.0.5:8000/v1 for vLLM)
+// - LLM_API_STYLE: "responses" (POST /responses) | "chat" (POST /chat/completions)
+//   default: responses for openai, chat for openai_compatible
+// - LLM_API_KEY (falls back to OPENAI_API_KEY); optional for openai_compatible
+// - LLM_AUTH_HEADER: default "Authorization" (sent as "Bearer <key>"); any other header
+//   name (e.g. "api-key", "x-api-key") is sent with the raw key
+// - LLM_MODEL (default gpt-4.1-mini), per-mode: LLM_MODEL_PLAN / LLM_MODEL_TRIAGE /
+//   LLM_MODEL_IM_CONSULT / LLM_MODEL_CHRONIC_PLAN
+// - LLM_TIMEOUT_MS (default 60000), LLM_MAX_RETRIES (default 2, on 429/5xx/timeout)
+//
+// generate() result (never throws for HTTP errors):
+//   { ok: true, answer, model, usage: { input_tokens, output_tokens, total_tokens } | null }
+//   { ok: false, status, errText }
+// stream({ ..., onDelta, signal }) → same result shape; onDelta(text) per token chunk.
+//   Retries only happen before the first chunk; after that a failure returns
+//   { ok: false, status, errText, answer: <partial> }. status 499 = cancelled via signal.
+// =====================================================
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+function _envNum(x, min, max, fallback) {
+  const n = Number(x);
+  if (x === undefined || x === "" || !Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+export function getLlmConfig(env = process.env) {
+  const provider = ["openai", "openai_compatible", "mock"].includes(env.LLM_PROVIDER)
+    ? env.LLM_PROVIDER
+    : "openai";
+
+  const apiStyle = ["responses", "chat"].includes(env.LLM_API_STYLE)
+    ? env.LLM_API_STYLE
+    : provider === "openai_compatible"
+      ? "chat"
+      : "responses";
+
+  return {
+    provider,
+    baseUrl: (env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ""),
+    apiStyle,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || null,
+    authHeader: env.LLM_AUTH_HEADER || "Authorization",
+    // only the public OpenAI endpoint strictly needs a key
+    requiresApiKey: provider === "openai",
+    timeoutMs: _envNum(env.LLM_TIMEOUT_MS, 1000, 300000, 60000),
+    maxRetries: _envNum(env.LLM_MAX_RETRIES, 0, 5, 2),
+    models: {
+      default: env.LLM_MODEL || DEFAULT_MODEL,
+      plan: env.LLM_MODEL_PLAN || null,
+      triage: env.LLM_MODEL_TRIAGE || null,
+      im_consult: env.LLM_MODEL_IM_CONSULT || null,
+      chronic_plan: env.LLM_MODEL_CHRONIC_PLAN || null,
+    },
+  };
+}
+
+// Request body model (if any) > per-mode default > global default
+export function resolveModel(config, mode, requested) {
+  if (typeof requested === "string" && requested) return requested;
+  return config.models[mode] || config.models.default;
+}
+
+// -------------------------
+// Response parsing (both API styles)
+// -------------------------
+function _parseResponses(data) {
+  const fromOutput = (data.output || [])
+    .flatMap((item) => item?.content || [])
+    .filter((c) => c?.type === "output_text" && typeof c.text === "string")
+    .map((c) => c.text)
+    .join("");
+  const u = data.usage;
+  return {
+    answer: data.output_text || fromOutput || data.output?.[0]?.content?.[0]?.text || "",
+    usage: u
+      ? { input_tokens: u.input_tokens ?? 0, output_tokens: u.output_tokens ?? 0, total_tokens: u.total_tokens ?? 0 }
+      : null,
+  };
+}
+
+function _parseChat(data) {
+  const u = data.usage;
+  return {
+    answer: data.choices?.[0]?.message?.content || "",
+    usage: u
+      ? { input_tokens: u.prompt_tokens ?? 0, output_tokens: u.completion_tokens ?? 0, total_tokens: u.total_tokens ?? 0 }
+      : null,
+  };
+}
+
+// Streaming chunks → { delta, usage, model, done, error }
+function _parseResponsesEvent(data) {
+  if (data.type === "response.output_text.delta") return { delta: data.delta || "" };
+  if (data.type === "response.completed") {
+    const parsed = _parseResponses(data.response || {});
+    return { usage: parsed.usage, model: data.response?.model, done: true };
+  }
+  if (data.type === "response.failed" || data.type === "error") {
+    return { error: data.response?.error?.message || data.message || data.type };
+  }
+  return {};
+}
+
+function _parseChatChunk(data) {
+  const out = { delta: data.choices?.[0]?.delta?.content || "", model: data.model };
+  if (data.usage) out.usage = _parseChat(data).usage;
+  return out;
+}
+
+function _requestFor(config, { prompt, model, maxOutputTokens, stream = false }) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) {
+    headers[config.authHeader] =
+      config.authHeader.toLowerCase() === "authorization" ? `Bearer ${config.apiKey}` : config.apiKey;
+  }
+
+  if (config.apiStyle === "chat") {
+    return {
+      url: `${config.baseUrl}/chat/completions`,
+      headers,
+      body: {
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: maxOutputTokens,
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
+      },
+    };
+  }
+  return {
+    url: `${config.baseUrl}/responses`,
+    headers,
+    body: { model, input: prompt, max_output_tokens: maxOutputTokens, ...(stream ? { stream: true } : {}) },
+  };
+}
+
+// -------------------------
+// Retry with exponential backoff (429 / 5xx / timeout / network)
+// -------------------------
+function _sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function _isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+function _backoffMs(attempt, retryAfter) {
+  const ra = Number(retryAfter);
+  if (Number.isFinite(ra) && ra > 0) return Math.min(ra * 1000, 20000);
+  return Math.min(500 * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+}
+
+async function _fetchWithTimeout(url, init, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: ctrl.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Upstream SSE → { event, data } (data JSON-parsed when possible)
+async function* _sseEvents(body) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true }).replace(/\r\n?/g, "\n");
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) !== -1) {
+      const block = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      let event = "message";
+      const data = [];
+      for (const line of block.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+      }
+      if (!data.length) continue;
+      const raw = data.join("\n");
+      let parsed = raw;
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        // "[DONE]" (chat) or non-JSON keep-alive
+      }
+      yield { event, data: parsed };
+    }
+  }
+}
+
+function createHttpProvider(config) {
+  return {
+    name: config.provider,
+    async generate({ prompt, model, maxOutputTokens }) {
+      const req = _requestFor(config, { prompt, model, maxOutputTokens });
+      let last = { ok: false, status: 0, errText: "No attempt made" };
+
+      for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        let resp;
+        try {
+          resp = await _fetchWithTimeout(
+            req.url,
+            { method: "POST", headers: req.headers, body: JSON.stringify(req.body) },
+            config.timeoutMs
+          );
+        } catch (err) {
+          const timedOut = err?.name === "AbortError";
+          last = {
+            ok: false,
+            status: timedOut ? 504 : 0,
+            errText: timedOut ? `Timed out after ${config.timeoutMs} ms` : String(err?.message || err),
+          };
+          if (attempt < config.maxRetries) await _sleep(_backoffMs(attempt));
+          continue;
+        }
+
+        if (resp.ok) {
+          const data = await resp.json();
+          const parsed = config.apiStyle === "chat" ? _parseChat(data) : _parseResponses(data);
+          return { ok: true, model: data.model || model, ...parsed };
+        }
+
+        last = { ok: false, status: resp.status, errText: await resp.text() };
+        if (!_isRetryable(resp.status) || attempt >= config.maxRetries) break;
+        await _sleep(_backoffMs(attempt, resp.headers?.get?.("retry-after")));
+      }
+
+      return last;
+    },
+
+    async stream({ prompt, model, maxOutputTokens, onDelta, signal }) {
+      const req = _requestFor(config, { prompt, model, maxOutputTokens, stream: true });
+      const parseChunk = config.apiStyle === "chat" ? _parseChatChunk : _parseResponsesEvent;
+      let last = { ok: false, status: 0, errText: "No attempt made" };
+
+      for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+        const ctrl = new AbortController();
+        const onAbort = () => ctrl.abort();
+        signal?.addEventListener("abort", onAbort);
+        // timeoutMs = time to first byte, then max idle time between chunks
+        let timer = setTimeout(() => ctrl.abort(), config.timeoutMs);
+
+        try {
+          let resp;
+          try {
+            resp = await fetch(req.url, {
+              method: "POST",
+              headers: req.headers,
+              body: JSON.stringify(req.body),
+              signal: ctrl.signal,
+            });
+          } catch (err) {
+            if (signal?.aborted) return { ok: false, status: 499, errText: "Cancelled by client" };
+            const timedOut = err?.name === "AbortError";
+            last = {
+              ok: false,
+              status: timedOut ? 504 : 0,
+              errText: timedOut ? `Timed out after ${config.timeoutMs} ms` : String(err?.message || err),
+            };
+            if (attempt < config.maxRetries) await _sleep(_backoffMs(attempt));
+            continue;
+          }
+
+          if (!resp.ok) {
+            last = { ok: false, status: resp.status, errText: await resp.text() };
+            if (!_isRetryable(resp.status) || attempt >= config.maxRetries) break;
+            await _sleep(_backoffMs(attempt, resp.headers?.get?.("retry-after")));
+            continue;
+          }
+
+          let answer = "";
+          let usage = null;
+          let upstreamModel = model;
+          try {
+            for await (const { data } of _sseEvents(resp.body)) {
+              clearTimeout(timer);
+              timer = setTimeout(() => ctrl.abort(), config.timeoutMs);
+              if (data === "[DONE]" || typeof data !== "object" || !data) continue;
+
+              const chunk = parseChunk(data);
+              if (chunk.error) return { ok: false, status: 502, errText: chunk.error, answer };
+              if (chunk.model) upstreamModel = chunk.model;
+              if (chunk.usage) usage = chunk.usage;
+              if (chunk.delta) {
+                answer += chunk.delta;
+                onDelta?.(chunk.delta);
+              }
+            }
+          } catch (err) {
+            if (signal?.aborted) return { ok: false, status: 499, errText: "Cancelled by client", answer };
+            const timedOut = err?.name === "AbortError";
+            return {
+              ok: false,
+              status: timedOut ? 504 : 502,
+              errText: timedOut ? `Stream idle for ${config.timeoutMs} ms` : String(err?.message || err),
+              answer,
+            };
+          }
+          return { ok: true, answer, model: upstreamModel, usage };
+        } finally {
+          clearTimeout(timer);
+          signal?.removeEventListener("abort", onAbort);
+        }
+      }
+
+      return last;
+    },
+  };
+}
+
+// -------------------------
+// Mock provider (offline testing; no network)
+// -------------------------
+const MOCK_ANSWERS = {
+  chronic_plan: "【主治慢性病追蹤建議】\n目前用藥維持原處方，持續規律服藥並配合飲食控制，三個月後回診。",
+  im_consult: "[MOCK] Refined PI: ...\n1) Likely diagnoses: ...\n2) Key exams/tests: ...\n3) Plan: ...",
+  triage: "[MOCK] 1) Symptom category ... 2) Urgency level ... 3) 一般問診 ...",
+};
+
+// plan: a canned answer would fail planVerifier (wrong NHI row / dose) and burn every retry,
+// so the mock copies the first statin option, the ESC target id and the [NHI auto-check] line from the prompt
+function _mockPlanAnswer(prompt) {
+  const text = String(prompt || "");
+  const field = (name) => text.match(new RegExp(`\\[NHI auto-check\\][\\s\\S]*?\\n${name}: ([^\\n]*)`))?.[1]?.trim() ?? null;
+  const option = text.match(/建議選項：\n- (?!（無）)([^\n（]+)/)?.[1]?.trim() ?? null;
+  const escId = text.match(/\(ESC\) LDL-C[^\n]*（(ESC\w+)）/)?.[1] ?? "ESC2025_TARGET_STRATEGY";
+  const nhiId = field("evidence id");
+  const nhiLine = /^NHI_/.test(nhiId || "")
+    ? `${field("eligible") === "true" ? "Eligible" : "Not eligible"}: ${field("threshold")} (${nhiId})`
+    : "Not eligible: 本 evidence pack 未涵蓋";
+  return (
+    "1)【Plan】\n" +
+    `- ${option ?? "No statin initiation"}\n` +
+    "- Lifestyle modification\n" +
+    "- Lipid profile + ALT in 8–12 weeks\n\n" +
+    "2)【Evidence & Guideline Support】\n" +
+    `- ESC/EAS 以總心血管風險決定 LDL-C 治療目標 (${escId})\n\n` +
+    "3)【Taiwan NHI 給付考量】\n" +
+    `- ${nhiLine}\n`
+  );
+}
+
+function createMockProvider() {
+  return {
+    name: "mock",
+    async generate({ prompt, model, mode }) {
+      const answer = mode === "plan" ? _mockPlanAnswer(prompt) : MOCK_ANSWERS[mode] || MOCK_ANSWERS.im_consult;
+      const input = Math.ceil(String(prompt || "").length / 4);
+      const output = Math.ceil(answer.length / 4);
+      return {
+        ok: true,
+        answer,
+        model: `mock:${model}`,
+        usage: { input_tokens: input, output_tokens: output, total_tokens: input + output },
+      };
+    },
+
+    // Same answer as generate(), delivered in small chunks
+    async stream({ prompt, model, mode, onDelta, signal }) {
+      const result = await this.generate({ prompt, model, mode });
+      const chunks = result.answer.match(/[\s\S]{1,12}/g) || [];
+      let sent = "";
+      for (const c of chunks) {
+        if (signal?.aborted) return { ok: false, status: 499, errText: "Cancelled by client", answer: sent };
+        sent += c;
+        onDelta?.(c);
+        await _sleep(10);
+      }
+      return result;
+    },
+  };
+}
+
+export function createLlmProvider(config = getLlmConfig()) {
+  return config.provider === "mock" ? createMockProvider() : createHttpProvider(config);
+}
@@ -0,0 +1,20 @@
+// api/nhi.js
+// =====================================================
+// POST /api/nhi — Taiwan NHI lipid-lowering reimbursement check as JSON (no LLM, no API key)
+// Body: { "patient": { ... }, "soap": "..." }  (see api/engines.js)
+// Returns: { category, evidenceId, eligible, threshold_mgdl, goal_mgdl, riskFactorCount, ..., triglyceride,
+//            discordance, patientState }
+//   eligibleAfter / pendingLifestyleTrial / lifestyleTrialProgress = primary-prevention lifestyle trial
+//     (patient.lifestyleStartDate or SOAP; no start date → pendingLifestyleTrial, eligible false)
+//   triglyceride = TG-lowering (fibrate / omega-3) eligibility (getNhiTgEligibility)
+//   discordance = ESC vs NHI (guideline-only → self-pay, NHI-only, agree) (api/discordance.js)
+// =====================================================
+
+import { createEngineEndpoint } from "./engines.js";
+
+export default createEngineEndpoint(({ nhi, nhiTg, discordance, patientState }) => ({
+  ...nhi,
+  triglyceride: nhiTg,
+  discordance,
+  patientState,
+}));
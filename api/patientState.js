@@ -0,0 +1,560 @@
+// api/patientState.js
+// =====================================================
+// Unified PatientState builder (NO LLM REQUIRED)
+// Goal: ESC risk engine and NHI engine must reason about the SAME patient.
+//
+// Inputs:
+// - body: structured request fields from the UI (ascvd, diabetes, egfr, ldl, ...)
+// - soap: SOAP free text (extracted via lipidEvidence.extractPatientStateFromSoap)
+// - freeNote: pasted prior note / panels (only the NHI lifestyle-trial start date is read from it)
+//
+// Merge rules:
+// - UI value wins when provided (true/false/number); SOAP fills the gaps; else default.
+// - UI false + SOAP affirmed (or UI true + SOAP negated) → recorded in conflicts[].
+// - Every value carries provenance: { source: "ui" | "soap" | "note" | "calculated" | "default", label, lineNo?, text? }
+// - Units: UI numbers may come with lipidUnit / glucoseUnit / creatinineUnit (e.g. "mmol/L");
+//   SOAP values carry their own unit. Everything is converted to mg/dL (api/labUnits.js) before the
+//   engines see it; the conversion is kept in provenance.<field>.conversion. Lp(a) keeps its unit.
+// - No direct LDL (UI or SOAP) → calculated from TC/HDL/TG (api/ldlCalc.js); derivation kept in
+//   state.ldlCalculation and provenance.ldl
+// - No eGFR (UI or SOAP) → CKD-EPI 2021 from creatinine + age + sex (api/egfr.js); kept in
+//   state.egfrCalculation and provenance.egfr
+//
+// Output:
+// - { values, provenance, conflicts, reminders, ldlCalculation, egfrCalculation }
+// - toEscPatient(state) → escEas2025RiskStratify input
+// - toNhiPatient(state) → getNhiEligibility / getNhiTgEligibility input
+// =====================================================
+
+import { extractPatientStateFromSoap, uncertainFindingReminders, ASCVD_CONDITIONS } from "./lipidEvidence.js";
+import { calculateLdl } from "./ldlCalc.js";
+import { calculateEgfr } from "./egfr.js";
+import { SCORE2_REGIONS } from "./score2.js";
+import { normalizeUnit, toCanonical, describeConversion } from "./labUnits.js";
+import { parseDate } from "./dates.js";
+import { parseLifestyleStart } from "./lifestyleTrial.js";
+
+// ----------------------------------------------------
+// Structured input schema (shared by UI body + /api/risk + /api/nhi validation)
+// ----------------------------------------------------
+export const PATIENT_INPUT_FIELDS = {
+  age: { type: "number", min: 0, max: 120 },
+  sex: { type: "enum", values: ["M", "F"] },
+  ascvd: { type: "boolean" },
+  hasACS: { type: "boolean" },
+  hasPCI: { type: "boolean" },
+  hasCABG: { type: "boolean" },
+  // NHI 2.6.1 CVD definition met (angina / cath lesion / ischemic ECG / stress test / infarct / TIA / carotid)
+  nhiCvd: { type: "boolean" },
+  diabetes: { type: "boolean" },
+  dmTargetOrganDamage: { type: "boolean" },
+  dmMajorRiskFactorCount: { type: "number", min: 0, max: 10 },
+  t1dmLongDuration: { type: "boolean" },
+  hypertension: { type: "boolean" },
+  smoking: { type: "boolean" },
+  familyHistoryPrematureASCVD: { type: "boolean" },
+  obesity: { type: "boolean" },
+  // DLCN (familial hypercholesterolemia) items
+  tendonXanthoma: { type: "boolean" },
+  arcusCornealis: { type: "boolean" },
+  familyHistoryHighLdl: { type: "boolean" },
+  familyHistoryXanthoma: { type: "boolean" },
+  fhMutation: { type: "boolean" },
+  // statin-associated muscle symptoms (SAMS pathway, api/statinIntolerance.js); CK in U/L
+  samsSymptoms: { type: "boolean" },
+  ck: { type: "number", min: 0, max: 200000 },
+  ckUln: { type: "number", min: 20, max: 1000 },
+  // renal / ancestry statin dosing (api/statinDosing.js); asianAncestry unset → STATIN_ASIAN_ANCESTRY
+  dialysis: { type: "boolean" },
+  asianAncestry: { type: "boolean" },
+  // pregnancy / lactation → no statin (api/statinInteractions.js)
+  pregnant: { type: "boolean" },
+  breastfeeding: { type: "boolean" },
+  // NHI primary-prevention lifestyle trial start (api/lifestyleTrial.js); "YYYY-MM-DD" or ROC "113/03/01"
+  lifestyleStartDate: { type: "date" },
+  ldl: { type: "number", min: 1, max: 1000 },
+  hdl: { type: "number", min: 1, max: 300 },
+  tc: { type: "number", min: 1, max: 2000 },
+  tg: { type: "number", min: 1, max: 20000 },
+  egfr: { type: "number", min: 0, max: 200 },
+  sbp: { type: "number", min: 50, max: 300 },
+  // lab values: ranges are in the canonical unit (checked after conversion)
+  lpa: { type: "number", min: 0, max: 1000 },
+  creatinine: { type: "number", min: 0.1, max: 30 },
+  glucose: { type: "number", min: 10, max: 2000 },
+  lipidUnit: { type: "unit", values: ["mg/dL", "mmol/L"] },
+  lpaUnit: { type: "unit", values: ["mg/dL", "nmol/L"] },
+  creatinineUnit: { type: "unit", values: ["mg/dL", "µmol/L"] },
+  glucoseUnit: { type: "unit", values: ["mg/dL", "mmol/L"] },
+  // SCORE2 risk-region calibration (default SCORE2_REGION env, else "moderate")
+  score2Region: { type: "enum", values: SCORE2_REGIONS },
+};
+
+// UI number field → { analyte, unitField } (value converted before range check / merge)
+const UNIT_FIELDS = {
+  ldl: { analyte: "LDL", unitField: "lipidUnit" },
+  hdl: { analyte: "HDL", unitField: "lipidUnit" },
+  tc: { analyte: "TC", unitField: "lipidUnit" },
+  tg: { analyte: "TG", unitField: "lipidUnit" },
+  creatinine: { analyte: "CREATININE", unitField: "creatinineUnit" },
+  glucose: { analyte: "GLUCOSE", unitField: "glucoseUnit" },
+};
+
+function _isBlank(x) {
+  return x === null || x === undefined || x === "";
+}
+
+function _toNum(x) {
+  const n = typeof x === "string" ? Number(x.trim()) : Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+// UI value in the stated unit → canonical mg/dL (unit omitted = already mg/dL, no guessing for UI)
+function _uiCanonical(body, field) {
+  const n = _toNum(body[field]);
+  const uf = UNIT_FIELDS[field];
+  if (n === null || !uf) return { value: n, conversion: null };
+  const unit = normalizeUnit(body[uf.unitField]);
+  if (!unit) return { value: n, conversion: null };
+  const conv = toCanonical(uf.analyte, n, unit);
+  return conv ? { value: conv.value, conversion: describeConversion(uf.analyte, conv) } : { value: n, conversion: null };
+}
+
+// Strict validation for API callers: [{ field, code, message }] (empty = valid)
+// codes: INVALID_TYPE | OUT_OF_RANGE | INVALID_ENUM | INVALID_DATE
+export function validatePatientInput(patient = {}) {
+  const errors = [];
+  for (const [field, spec] of Object.entries(PATIENT_INPUT_FIELDS)) {
+    const x = patient[field];
+    if (_isBlank(x)) continue;
+
+    if (spec.type === "boolean" && typeof x !== "boolean") {
+      errors.push({ field, code: "INVALID_TYPE", message: `${field} must be true/false` });
+    } else if (spec.type === "enum" && !spec.values.includes(x)) {
+      errors.push({ field, code: "INVALID_ENUM", message: `${field} must be one of ${spec.values.join("/")}` });
+    } else if (spec.type === "date" && _uiDate(x) === null) {
+      errors.push({ field, code: "INVALID_DATE", message: `${field} must be a date (YYYY-MM-DD)` });
+    } else if (spec.type === "unit" && !spec.values.includes(normalizeUnit(x))) {
+      errors.push({ field, code: "INVALID_ENUM", message: `${field} must be one of ${spec.values.join("/")}` });
+    } else if (spec.type === "number") {
+      const n = typeof x === "boolean" ? null : _uiCanonical(patient, field).value;
+      if (n === null) {
+        errors.push({ field, code: "INVALID_TYPE", message: `${field} must be a number` });
+      } else if (n < spec.min || n > spec.max) {
+        errors.push({ field, code: "OUT_OF_RANGE", message: `${field} must be ${spec.min}–${spec.max}` });
+      }
+    }
+  }
+  return errors;
+}
+
+function _uiBool(x) {
+  return typeof x === "boolean" ? x : null;
+}
+
+// Lenient UI parsing: invalid/out-of-range → treated as "not provided"
+function _uiNum(x, { min, max }) {
+  if (_isBlank(x)) return null;
+  const n = _toNum(x);
+  if (n === null || n < min || n > max) return null;
+  return n;
+}
+
+// Lab field from the UI: converted to mg/dL first, then range-checked like _uiNum
+function _uiLab(body, field) {
+  if (_isBlank(body[field])) return { value: null, conversion: null };
+  const { value, conversion } = _uiCanonical(body, field);
+  const { min, max } = PATIENT_INPUT_FIELDS[field];
+  if (value === null || value < min || value > max) return { value: null, conversion: null };
+  return { value, conversion };
+}
+
+function _uiDate(x) {
+  return typeof x === "string" ? parseDate(x.trim()) : null;
+}
+
+function _uiSex(x) {
+  return x === "M" || x === "F" ? x : null;
+}
+
+function _soapProvenance(finding) {
+  const ev = finding?.evidence;
+  const conv = finding?.conversion ? { conversion: finding.conversion } : {};
+  if (!ev) return { source: "soap", label: "SOAP", ...conv };
+  return { source: "soap", label: `SOAP line ${ev.lineNo}`, lineNo: ev.lineNo, text: ev.text, ...conv };
+}
+
+const UI_PROVENANCE = { source: "ui", label: "UI" };
+const DEFAULT_PROVENANCE = { source: "default", label: "default" };
+
+// Boolean flag: UI (true/false) → SOAP finding status → default false
+function _resolveFlag(field, uiValue, soapFindings, conflicts) {
+  const findings = soapFindings.filter((f) => f && f.status !== "absent");
+  const affirmed = findings.find((f) => f.status === "affirmed");
+  const negated = findings.find((f) => f.status === "negated");
+
+  if (uiValue !== null) {
+    if (uiValue === false && affirmed) {
+      conflicts.push({
+        field,
+        ui: false,
+        soap: true,
+        lineNo: affirmed.evidence?.lineNo ?? null,
+        message: `UI says no ${field}, but SOAP line ${affirmed.evidence?.lineNo}: "${affirmed.evidence?.text}" affirms it.`,
+      });
+    } else if (uiValue === true && negated && !affirmed) {
+      conflicts.push({
+        field,
+        ui: true,
+        soap: false,
+        lineNo: negated.evidence?.lineNo ?? null,
+        message: `UI says ${field}, but SOAP line ${negated.evidence?.lineNo}: "${negated.evidence?.text}" negates it.`,
+      });
+    }
+    return { value: uiValue, provenance: UI_PROVENANCE };
+  }
+
+  if (affirmed) return { value: true, provenance: _soapProvenance(affirmed) };
+  if (negated) return { value: false, provenance: _soapProvenance(negated) };
+  return { value: false, provenance: DEFAULT_PROVENANCE };
+}
+
+// Value field (number/string): UI → SOAP → null
+function _resolveValue(field, uiValue, soapValue, soapFinding, conflicts) {
+  const hasSoap = soapValue !== null && soapValue !== undefined;
+
+  if (uiValue !== null) {
+    if (hasSoap && soapValue !== uiValue) {
+      const ev = soapFinding?.evidence;
+      conflicts.push({
+        field,
+        ui: uiValue,
+        soap: soapValue,
+        lineNo: ev?.lineNo ?? null,
+        message: `UI ${field}=${uiValue}, but SOAP${ev ? ` line ${ev.lineNo}` : ""} says ${soapValue}.`,
+      });
+    }
+    return { value: uiValue, provenance: UI_PROVENANCE };
+  }
+  if (hasSoap) return { value: soapValue, provenance: _soapProvenance(soapFinding) };
+  return { value: null, provenance: DEFAULT_PROVENANCE };
+}
+
+// ----------------------------------------------------
+// Build merged state
+// ----------------------------------------------------
+export function buildPatientState({ body = {}, soap = "", freeNote = "" } = {}) {
+  const s = extractPatientStateFromSoap(soap);
+  const f = s.findings;
+  const spec = PATIENT_INPUT_FIELDS;
+  const conflicts = [];
+  const resolved = {};
+
+  resolved.age = _resolveValue("age", _uiNum(body.age, spec.age), s.age, f.ageSex, conflicts);
+  resolved.sex = _resolveValue("sex", _uiSex(body.sex), s.sex, f.ageSex, conflicts);
+
+  // NHI secondary prevention needs the specific event (ACS/PCI/CABG)
+  resolved.hasACS = _resolveFlag("hasACS", _uiBool(body.hasACS), [f.hasACS], conflicts);
+  resolved.hasPCI = _resolveFlag("hasPCI", _uiBool(body.hasPCI), [f.hasPCI], conflicts);
+  resolved.hasCABG = _resolveFlag("hasCABG", _uiBool(body.hasCABG), [f.hasCABG], conflicts);
+
+  // Other ASCVD conditions (angina, stroke, TIA, PAD...) are SOAP-only detail flags
+  for (const c of ASCVD_CONDITIONS) resolved[c.key] = _resolveFlag(c.key, null, [f[c.key]], conflicts);
+
+  // ESC ascvd is broader: coronary events + every ESC-qualifying condition (incl. PAD, stroke)
+  const escFindings = ASCVD_CONDITIONS.filter((c) => c.esc).map((c) => f[c.key]);
+  resolved.ascvd = _resolveFlag(
+    "ascvd",
+    _uiBool(body.ascvd),
+    [f.hasACS, f.hasPCI, f.hasCABG, ...escFindings],
+    conflicts
+  );
+  // NHI "CVD" row needs the 2.6.1 definition (PAD / unspecified stroke do not count)
+  const nhiCvdFindings = ASCVD_CONDITIONS.filter((c) => c.nhi === "cvd").map((c) => f[c.key]);
+  resolved.nhiCvd = _resolveFlag("nhiCvd", _uiBool(body.nhiCvd), nhiCvdFindings, conflicts);
+  resolved.diabetes = _resolveFlag("diabetes", _uiBool(body.diabetes), [f.hasDM], conflicts);
+  resolved.hypertension = _resolveFlag(
+    "hypertension",
+    _uiBool(body.hypertension),
+    [f.hasHTN, f.onAntiHTNMeds],
+    conflicts
+  );
+  resolved.smoking = _resolveFlag("smoking", _uiBool(body.smoking), [f.currentSmoker], conflicts);
+  resolved.familyHistoryPrematureASCVD = _resolveFlag(
+    "familyHistoryPrematureASCVD",
+    _uiBool(body.familyHistoryPrematureASCVD),
+    [f.fhPrematureASCVD],
+    conflicts
+  );
+
+  // UI lab values already converted to mg/dL; conversion noted in provenance
+  const ui = {};
+  for (const field of Object.keys(UNIT_FIELDS)) ui[field] = _uiLab(body, field);
+  const withConversion = (r, field) =>
+    r.provenance === UI_PROVENANCE && ui[field].conversion
+      ? { ...r, provenance: { ...UI_PROVENANCE, conversion: ui[field].conversion } }
+      : r;
+
+  for (const field of ["tendonXanthoma", "arcusCornealis", "familyHistoryHighLdl", "familyHistoryXanthoma", "fhMutation"]) {
+    resolved[field] = _resolveFlag(field, _uiBool(body[field]), [f[field]], conflicts);
+  }
+
+  resolved.hdl = withConversion(_resolveValue("hdl", ui.hdl.value, s.HDL, f.HDL, conflicts), "hdl");
+  resolved.tc = withConversion(_resolveValue("tc", ui.tc.value, s.TC, f.TC, conflicts), "tc");
+  resolved.tg = withConversion(_resolveValue("tg", ui.tg.value, s.TG, f.TG, conflicts), "tg");
+
+  // LDL: UI → direct SOAP LDL → calculated (from the merged TC/HDL/TG, UI values included)
+  const uiLdl = ui.ldl.value;
+  let ldlCalculation = null;
+  if (uiLdl === null && !s.ldlCalculation) {
+    resolved.ldl = _resolveValue("ldl", null, s.LDL, f.LDL, conflicts);
+  } else if (uiLdl !== null) {
+    // calculated SOAP LDL is not a "conflict" with a measured UI value
+    resolved.ldl = withConversion(
+      _resolveValue("ldl", uiLdl, s.ldlCalculation ? null : s.LDL, f.LDL, conflicts),
+      "ldl"
+    );
+  } else {
+    ldlCalculation = calculateLdl({
+      tc: resolved.tc.value,
+      hdl: resolved.hdl.value,
+      tg: resolved.tg.value,
+      nonHdl: s.nonHDL,
+    });
+    const from = [resolved.tc, resolved.hdl, resolved.tg].map((r) => r.provenance.label);
+    resolved.ldl = {
+      value: ldlCalculation.value,
+      provenance:
+        ldlCalculation.value === null
+          ? DEFAULT_PROVENANCE
+          : {
+              source: "calculated",
+              label: `Calculated (${ldlCalculation.method})`,
+              method: ldlCalculation.method,
+              derivation: ldlCalculation.derivation,
+              inputs: [...new Set(from)].join(", "),
+            },
+    };
+  }
+
+  resolved.creatinine = withConversion(
+    _resolveValue("creatinine", ui.creatinine.value, s.creatinine, f.creatinine, conflicts),
+    "creatinine"
+  );
+  resolved.glucose = withConversion(
+    _resolveValue("glucose", ui.glucose.value, s.glucose, f.glucose, conflicts),
+    "glucose"
+  );
+
+  // SAMS: symptoms (UI/SOAP), rhabdomyolysis (SOAP), CK + lab ULN (U/L, no unit conversion)
+  resolved.samsSymptoms = _resolveFlag("samsSymptoms", _uiBool(body.samsSymptoms), [f.muscleSymptoms], conflicts);
+  resolved.rhabdomyolysis = _resolveFlag("rhabdomyolysis", null, [f.rhabdomyolysis], conflicts);
+  resolved.ck = _resolveValue("ck", _uiNum(body.ck, spec.ck), s.CK, f.CK, conflicts);
+  resolved.ckUln = _resolveValue("ckUln", _uiNum(body.ckUln, spec.ckUln), null, null, conflicts);
+
+  resolved.dialysis = _resolveFlag("dialysis", _uiBool(body.dialysis), [f.dialysis], conflicts);
+  resolved.esrd = _resolveFlag("esrd", null, [f.esrd], conflicts);
+  resolved.pregnant = _resolveFlag("pregnant", _uiBool(body.pregnant), [f.pregnancy], conflicts);
+  resolved.breastfeeding = _resolveFlag("breastfeeding", _uiBool(body.breastfeeding), [f.lactation], conflicts);
+
+  // NHI lifestyle trial start: UI → SOAP → pasted prior note
+  resolved.lifestyleStartDate = _resolveValue(
+    "lifestyleStartDate",
+    _uiDate(body.lifestyleStartDate),
+    s.lifestyleStart?.date ?? null,
+    s.lifestyleStart,
+    conflicts
+  );
+  const noteStart = resolved.lifestyleStartDate.value === null ? parseLifestyleStart(freeNote) : null;
+  if (noteStart) {
+    const ev = noteStart.evidence;
+    resolved.lifestyleStartDate = {
+      value: noteStart.date,
+      provenance: { source: "note", label: `Free note line ${ev.lineNo}`, lineNo: ev.lineNo, text: ev.text },
+    };
+  }
+
+  // Lp(a): value + unit travel together (mg/dL and nmol/L are NOT interconvertible)
+  const uiLpa = _uiNum(body.lpa, spec.lpa);
+  resolved.lpa = _resolveValue("lpa", uiLpa, s.LPA?.value ?? null, f.LPA, conflicts);
+  resolved.lpaUnit =
+    uiLpa !== null
+      ? { value: normalizeUnit(body.lpaUnit), provenance: UI_PROVENANCE }
+      : { value: s.LPA?.unit ?? null, provenance: s.LPA ? _soapProvenance(f.LPA) : DEFAULT_PROVENANCE };
+
+  // eGFR: UI → reported in SOAP → CKD-EPI 2021 from the merged creatinine/age/sex
+  const uiEgfr = _uiNum(body.egfr, spec.egfr);
+  let egfrCalculation = null;
+  if (uiEgfr !== null || s.eGFR !== null) {
+    resolved.egfr = _resolveValue("egfr", uiEgfr, s.eGFR, f.eGFR, conflicts);
+  } else {
+    egfrCalculation = calculateEgfr({
+      creatinine: resolved.creatinine.value,
+      age: resolved.age.value,
+      sex: resolved.sex.value,
+    });
+    const from = [resolved.creatinine, resolved.age, resolved.sex].map((r) => r.provenance.label);
+    resolved.egfr = {
+      value: egfrCalculation.value,
+      provenance:
+        egfrCalculation.value === null
+          ? DEFAULT_PROVENANCE
+          : {
+              source: "calculated",
+              label: `Calculated (${egfrCalculation.equation})`,
+              method: egfrCalculation.equation,
+              derivation: egfrCalculation.derivation,
+              inputs: [...new Set(from)].join(", "),
+            },
+    };
+  }
+
+  // UI-only fields (not extracted from SOAP yet)
+  resolved.sbp = _resolveValue("sbp", _uiNum(body.sbp, spec.sbp), null, null, conflicts);
+  resolved.dmTargetOrganDamage = _resolveFlag(
+    "dmTargetOrganDamage",
+    _uiBool(body.dmTargetOrganDamage),
+    [],
+    conflicts
+  );
+  resolved.dmMajorRiskFactorCount = _resolveValue(
+    "dmMajorRiskFactorCount",
+    _uiNum(body.dmMajorRiskFactorCount, spec.dmMajorRiskFactorCount),
+    null,
+    null,
+    conflicts
+  );
+  resolved.t1dmLongDuration = _resolveFlag(
+    "t1dmLongDuration",
+    _uiBool(body.t1dmLongDuration),
+    [],
+    conflicts
+  );
+  resolved.obesity = _resolveFlag("obesity", _uiBool(body.obesity), [], conflicts);
+
+  const values = {};
+  const provenance = {};
+  for (const k of Object.keys(resolved)) {
+    values[k] = resolved[k].value;
+    provenance[k] = resolved[k].provenance;
+  }
+
+  // uncertain SOAP mentions stay false but are reported (e.g. "possible DM?")
+  const reminders = uncertainFindingReminders(f);
+
+  // unit conversions are shown so a misread unit can be caught ("unit assumed" = no unit in the note)
+  for (const [field, p] of Object.entries(provenance)) {
+    if (p.conversion && values[field] !== null) reminders.push(`Unit converted: ${p.conversion} (${p.label}).`);
+  }
+  reminders.push(..._ascvdDocumentationReminders(values, provenance));
+
+  if (values.lpa !== null && !values.lpaUnit) {
+    reminders.push("Lp(a) unit not stated → confirm mg/dL vs nmol/L before comparing to 50 mg/dL / 105 nmol/L.");
+  }
+
+  if (ldlCalculation?.value != null) {
+    reminders.push(`LDL-C not reported → ${ldlCalculation.derivation}. Document as calculated value.`);
+  } else if (ldlCalculation?.note && (resolved.tg.value !== null || resolved.tc.value !== null)) {
+    reminders.push(ldlCalculation.note);
+  }
+
+  if (egfrCalculation?.value != null) {
+    reminders.push(`eGFR not reported → ${egfrCalculation.derivation}.`);
+  } else if (egfrCalculation?.note && resolved.creatinine.value !== null) {
+    reminders.push(egfrCalculation.note);
+  }
+
+  // statins + doses / interacting medications seen in the note (SOAP only; lists, not merged values)
+  const statinsTried = s.statinsTried;
+  const medications = s.medications;
+
+  return { values, provenance, conflicts, reminders, ldlCalculation, egfrCalculation, statinsTried, medications };
+}
+
+// What the NHI reviewer needs on file for each affirmed ASCVD condition
+function _ascvdDocumentationReminders(values, provenance) {
+  const affirmed = ASCVD_CONDITIONS.filter((c) => values[c.key]);
+  const keys = new Set(affirmed.map((c) => c.key));
+  // a more specific finding already documents the general one
+  const covered = {
+    hasStroke: ["hasCerebralInfarction", "hasTIA"],
+    hasCAD: ["hasCathLesion", "hasIschemicEcg", "hasPositiveStressTest"],
+  };
+  const out = affirmed
+    .filter((c) => !(covered[c.key] || []).some((k) => keys.has(k)))
+    .map((c) => `${c.label} (${provenance[c.key].label}): ${c.documentation}`);
+
+  const secondary = values.hasACS || values.hasPCI || values.hasCABG;
+  if (provenance.ascvd?.source === "ui" && values.ascvd && !values.nhiCvd && !secondary) {
+    out.push(
+      "ASCVD ticked in UI without ACS/PCI/CABG or an NHI 2.6.1 CVD condition → NHI CVD row assumed; " +
+        "confirm the NHI definition is met (PAD / hemorrhagic stroke do not count)."
+    );
+  }
+  return out;
+}
+
+// ----------------------------------------------------
+// Engine adapters (single source → both engines)
+// ----------------------------------------------------
+export function toEscPatient(state, { score2 = null, dlcn = null } = {}) {
+  const v = state?.values || {};
+  return {
+    score2RiskCategory: score2?.applicable ? score2.category : null,
+    score2,
+    fh: !!dlcn?.fhLikely,
+    fhDlcn: dlcn,
+    age: v.age,
+    sex: v.sex,
+    ascvd: !!v.ascvd,
+    diabetes: !!v.diabetes,
+    dmTargetOrganDamage: !!v.dmTargetOrganDamage,
+    dmMajorRiskFactorCount: v.dmMajorRiskFactorCount,
+    t1dmLongDuration: !!v.t1dmLongDuration,
+    ckdEgfr: v.egfr,
+    ckdEgfrSource: state?.provenance?.egfr?.label ?? null,
+    kidneyFailure: !!v.dialysis || !!v.esrd,
+    sbp: v.sbp,
+    ldl: v.ldl,
+    lpa: v.lpa,
+    lpaUnit: v.lpaUnit,
+
+    // 一般 RF（只用於 moderate/low 判斷，不會直接升級 high）
+    hypertension: !!v.hypertension,
+    smoking: !!v.smoking,
+    familyHistoryPrematureASCVD: !!v.familyHistoryPrematureASCVD,
+    obesity: !!v.obesity,
+  };
+}
+
+function _nhiCvdBasis(state) {
+  const v = state?.values || {};
+  const basis = ASCVD_CONDITIONS.filter((c) => c.nhi === "cvd" && v[c.key]).map((c) => c.label);
+  if (v.nhiCvd && !basis.length) basis.push("NHI CVD (UI)");
+  if (!basis.length && v.ascvd && state.provenance?.ascvd?.source === "ui") basis.push("ASCVD (UI)");
+  return basis;
+}
+
+export function toNhiPatient(state) {
+  const v = state?.values || {};
+  return {
+    sex: v.sex,
+    age: v.age,
+    LDL: v.ldl,
+    HDL: v.hdl,
+    TC: v.tc,
+    TG: v.tg,
+    // NHI 2.6.1 CVD definition (LDL CVD-or-DM row, TG table); a UI-ticked ASCVD is taken as met
+    hasCVD: !!(v.nhiCvd || v.hasACS || v.hasPCI || v.hasCABG || (v.ascvd && state.provenance?.ascvd?.source === "ui")),
+    cvdBasis: _nhiCvdBasis(state),
+    hasACS: !!v.hasACS,
+    hasPCI: !!v.hasPCI,
+    hasCABG: !!v.hasCABG,
+    hasHTN: !!v.hypertension,
+    hasDM: !!v.diabetes,
+    currentSmoker: !!v.smoking,
+    fhPrematureASCVD: !!v.familyHistoryPrematureASCVD,
+    lifestyleStartDate: v.lifestyleStartDate,
+    lifestyleStartSource: v.lifestyleStartDate ? state.provenance.lifestyleStartDate.label : null,
+  };
+}
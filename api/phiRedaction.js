@@ -0,0 +1,162 @@
+// api/phiRedaction.js
+// =====================================================
+// PHI de-identification before text leaves the clinic (NO LLM REQUIRED)
+// Goal: pasted records (Free note / SOAP) often carry names, chart numbers, Taiwan ID numbers,
+// phone numbers, DOB and addresses. Replace them with stable placeholders before the LLM call,
+// then put the originals back into the answer.
+//
+// - createPhiRedactor(): one per request, so the same value → same placeholder
+//   (soap, complaint and verifier re-asks all share it)
+// - redact(text) → text with [NAME_1], [TWID_1], [CHART_1], [PHONE_1], [DOB_1], [ADDRESS_1], [EMAIL_1]
+// - reidentify(answer) → placeholders replaced back with originals
+// - reidentifyStream() → { push(delta), flush() } for SSE (a placeholder may be split across deltas)
+// - report() → { enabled, total, counts, items: [{ type, placeholder, preview }] } (no raw values)
+//
+// Deployment override: PHI_REDACTION=off (or false/0) disables it; default ON.
+// NOTE: pattern-based and intentionally over-inclusive; it does not replace a DLP review.
+// =====================================================
+
+// Each detector: { type, re, group } — group = capture group holding the PHI value (0 = whole match)
+// Order matters: more specific patterns first.
+const PHI_DETECTORS = [
+  // Taiwan national ID / resident certificate: A123456789, A823456789, AB12345678 (old ARC)
+  { type: "TWID", re: /\b[A-Z][12896][0-9]{8}\b|\b[A-Z][A-D][0-9]{8}\b/g, group: 0 },
+
+  // Chart number: 病歷號 / 病歷號碼 / 病歷編號 / chart no / MRN
+  {
+    type: "CHART",
+    re: /(?:病歷號碼?|病歷編號|chart\s*(?:no\.?|number|#)|mrn|medical record (?:no\.?|number))\s*[:：#]?\s*([A-Za-z0-9-]{4,20})/gi,
+    group: 1,
+  },
+
+  // DOB (labelled only; lab/visit dates must stay)
+  {
+    type: "DOB",
+    re: /(?:dob|date of birth|birth\s*date|生日|出生(?:日期|年月日)?)\s*[:：]?\s*(\d{2,4}\s*[/\-.年]\s*\d{1,2}\s*[/\-.月]\s*\d{1,2}\s*日?)/gi,
+    group: 1,
+  },
+
+  { type: "EMAIL", re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, group: 0 },
+
+  // Phones: 0912-345-678, +886 912 345 678, (02)2345-6789, 02-2345-6789
+  {
+    type: "PHONE",
+    re: /\+886[-\s]?9\d{2}[-\s]?\d{3}[-\s]?\d{3}|\b09\d{2}[-\s]?\d{3}[-\s]?\d{3}\b|\(0\d{1,2}\)\s?\d{3,4}[-\s]?\d{4}|\b0\d{1,2}-\d{3,4}-?\d{4}\b/g,
+    group: 0,
+  },
+
+  // Addresses: labelled ("address" needs the colon: "Patient addressed concerns" is clinical text),
+  // or Taiwanese pattern ...市/縣 ...區/鄉/鎮 ... 號
+  { type: "ADDRESS", re: /(?:(?:地址|住址)\s*[:：]?|\baddress\s*[:：])\s*([^\n,;，；]{4,60})/gi, group: 1 },
+  {
+    type: "ADDRESS",
+    re: /[一-鿿]{1,3}[市縣][一-鿿]{1,4}[區鄉鎮市][^\n,，;；]{0,30}?\d+\s*號(?:\s*\d+\s*樓)?(?:之\s*\d+)?/g,
+    group: 0,
+  },
+
+  // Names: 姓名 (colon optional); 病人/患者/病患 only with a colon ("病人表示..." is clinical text)
+  { type: "NAME", re: /姓名\s*[:：]?\s*([一-鿿]{2,4})/g, group: 1 },
+  { type: "NAME", re: /(?:病人|患者|病患)\s*[:：]\s*([一-鿿]{2,4})/g, group: 1 },
+  // 王先生 / 陳小姐; determiners and particles are not names ("這位先生", "陪同的太太")
+  { type: "NAME", re: /((?:(?![這那該此每各哪位的])[一-鿿]){1,3})(?=先生|小姐|女士|太太)/g, group: 1 },
+  {
+    type: "NAME",
+    re: /\b(?:[Pp]atient [Nn]ame|[Pp]t [Nn]ame|[Nn]ame)\s*[:：]\s*([A-Z][a-z]+(?:[ -][A-Z][a-z]+){0,3})/g,
+    group: 1,
+  },
+  // "Patient: John Smith" / "Pt: John Smith" / "病人: John Smith" — two+ capitalised words, so
+  // "Pt: Denies chest pain" / "Patient: Male, 60" stay clinical text
+  {
+    type: "NAME",
+    re: /(?:\b(?:[Pp]atient|[Pp]t)|病人|患者|病患)\s*[:：]\s*([A-Z][a-z]+(?:[ -][A-Z][a-z]+){1,3})\b/g,
+    group: 1,
+  },
+  { type: "NAME", re: /\b(?:Mr|Mrs|Ms|Miss)\.?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g, group: 1 },
+];
+
+export function isPhiRedactionEnabled(env = process.env) {
+  const v = String(env.PHI_REDACTION ?? "on").trim().toLowerCase();
+  return !["off", "false", "0", "no"].includes(v);
+}
+
+function _escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function _preview(value) {
+  const chars = [...value];
+  return chars.length <= 1 ? "*" : chars[0] + "*".repeat(Math.min(chars.length - 1, 8));
+}
+
+export function createPhiRedactor({ enabled = isPhiRedactionEnabled() } = {}) {
+  const byValue = new Map(); // original → placeholder
+  const byPlaceholder = new Map(); // placeholder → original
+  const items = [];
+  const counters = {};
+
+  function placeholderFor(type, value) {
+    if (byValue.has(value)) return byValue.get(value);
+    counters[type] = (counters[type] || 0) + 1;
+    const ph = `[${type}_${counters[type]}]`;
+    byValue.set(value, ph);
+    byPlaceholder.set(ph, value);
+    items.push({ type, placeholder: ph, preview: _preview(value) });
+    return ph;
+  }
+
+  function redact(text) {
+    if (!enabled || !text) return text;
+    let out = String(text);
+
+    for (const { type, re, group } of PHI_DETECTORS) {
+      out = out.replace(re, (...args) => {
+        const match = args[0];
+        const value = group ? args[group] : match;
+        if (!value || /^\[[A-Z]+_\d+\]$/.test(value.trim())) return match;
+        const trimmed = value.trim();
+        return match.replace(trimmed, placeholderFor(type, trimmed));
+      });
+    }
+
+    // Same value mentioned again without its label (e.g. the name later in the note)
+    for (const [value, ph] of byValue) {
+      if ([...value].length < 2) continue;
+      out = out.replace(new RegExp(_escapeRe(value), "g"), ph);
+    }
+    return out;
+  }
+
+  function reidentify(text) {
+    if (!enabled || !text || !byPlaceholder.size) return text;
+    return String(text).replace(/\[[A-Z]+_\d+\]/g, (ph) => byPlaceholder.get(ph) ?? ph);
+  }
+
+  // "[NA" + "ME_1]": hold back a trailing unclosed "[..." until it can be resolved
+  function reidentifyStream() {
+    let pending = "";
+    return {
+      push(delta) {
+        pending += delta || "";
+        const open = pending.lastIndexOf("[");
+        const cut =
+          open !== -1 && !pending.includes("]", open) && pending.length - open <= 16 ? open : pending.length;
+        const out = pending.slice(0, cut);
+        pending = pending.slice(cut);
+        return reidentify(out) || "";
+      },
+      flush() {
+        const out = pending;
+        pending = "";
+        return reidentify(out) || "";
+      },
+    };
+  }
+
+  function report() {
+    const counts = {};
+    for (const it of items) counts[it.type] = (counts[it.type] || 0) + 1;
+    return { enabled, total: items.length, counts, items: items.slice() };
+  }
+
+  return { redact, reidentify, reidentifyStream, report };
+}
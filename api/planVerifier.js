@@ -0,0 +1,305 @@
+// api/planVerifier.js
+// =====================================================
+// Post-generation verifier for the fixed-format Plan output (NO LLM REQUIRED)
+// Goal: buildPlanPrompt imposes hard rules; this checks the model actually obeyed them.
+//
+// verifyPlanAnswer(answer, { escRisk, nhi, sams, dosing, interactions, formulary, evidenceIds }) → violations[]
+//   sams (api/statinIntolerance.js): Plan must not re-prescribe a statin/dose that was not tolerated
+//   dosing (api/statinDosing.js): no dose above the renal / ancestry cap; no statin start on dialysis w/o ASCVD
+//   formulary (api/formulary.js): Plan statin must be stocked at that tablet strength (single or ezetimibe combo)
+//   interactions (api/statinInteractions.js): no avoided statin, no dose above the cap, no statin in pregnancy
+//   each violation: { rule, message }
+// buildPlanRepairPrompt(prompt, answer, violations) → prompt for a bounded re-ask
+// =====================================================
+
+import { lipidEvidence } from "./lipidEvidence.js";
+import { parseStatinsTried } from "./statinIntolerance.js";
+
+const SECTION_HEADERS = {
+  plan: /【\s*Plan\s*】/i,
+  evidence: /【\s*Evidence\s*&\s*Guideline Support\s*】/i,
+  nhi: /【\s*Taiwan NHI[^】]*】/i,
+};
+
+const EVIDENCE_ID_RE = /\b(?:ESC|ACC|NHI|BEMPEDOIC)[A-Z0-9]*_[A-Z0-9_]+\b/g;
+const NON_STATIN_RE = /ezetimibe|pcsk9|依折麥布/i;
+const SEVERE_HYPERCHOL_RE = /severe hypercholesterol|ldl-?c?\s*(?:≥|>=)\s*190/i;
+const LPA_RE = /lp\(a\)|lipoprotein\(a\)/i;
+const LPA_RECLASS_RE = /reclassif|upgrade|(?:→|->|to|into)\s*(?:very[- ]high|high)[- ]risk|升級|改為(?:極)?高風險/i;
+
+function _allEvidenceIds() {
+  return Object.values(lipidEvidence).flatMap((entries) => entries.map((e) => e.id));
+}
+
+// Split answer into { plan: [...lines], evidence: [...], nhi: [...] } (bullet lines only)
+export function parsePlanAnswer(answer) {
+  const sections = { plan: null, evidence: null, nhi: null };
+  let current = null;
+
+  for (const raw of String(answer || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const line = raw.trim();
+    const header = Object.keys(SECTION_HEADERS).find((k) => SECTION_HEADERS[k].test(line));
+    if (header) {
+      current = header;
+      sections[current] = [];
+      // content written on the header line itself still counts
+      const rest = line.replace(/^.*】/, "").trim();
+      if (/^[-•]/.test(rest)) sections[current].push(rest);
+      continue;
+    }
+    if (/^【/.test(line)) {
+      current = null;
+      continue;
+    }
+    if (current && /^[-•]/.test(line)) sections[current].push(line);
+  }
+  return sections;
+}
+
+// Which single NHI evidence id the [NHI auto-check] block points to
+// (getNhiEligibility is table-driven and always returns evidenceId; null = no row applies)
+export function expectedNhiEvidenceId(nhi) {
+  return nhi?.evidenceId ?? null;
+}
+
+function _nhiThresholdNumbers(nhi) {
+  const text = [nhi?.startThreshold, ...(nhi?.criteriaMet || [])].filter((x) => typeof x === "string").join(" ");
+  const nums = (text.match(/\d{2,3}(?!\.?\d)/g) || []).map(Number);
+  if (typeof nhi?.threshold_mgdl === "number") nums.push(nhi.threshold_mgdl);
+  return [...new Set(nums)];
+}
+
+// Plan doses are usually ranges ("Rosuvastatin 20–40 mg daily"): caps are checked against the upper bound
+function _maxDose(p) {
+  return p.doseRangeMg?.[1] ?? null;
+}
+
+function _doseText(p) {
+  const [lo, hi] = p.doseRangeMg || [];
+  return lo === undefined ? "" : ` ${lo === hi ? lo : `${lo}–${hi}`} mg`;
+}
+
+export function verifyPlanAnswer(
+  answer,
+  { escRisk, nhi, sams, dosing, interactions, formulary, evidenceIds } = {}
+) {
+  const violations = [];
+  const add = (rule, message) => violations.push({ rule, message });
+
+  const known = new Set(evidenceIds?.length ? evidenceIds : _allEvidenceIds());
+  const sections = parsePlanAnswer(answer);
+
+  // 1)【Plan】exactly 3 fixed lines
+  if (!sections.plan) {
+    add("PLAN_MISSING", "【Plan】section is missing.");
+  } else {
+    if (sections.plan.length !== 3) {
+      add("PLAN_LINE_COUNT", `【Plan】must have exactly 3 lines (found ${sections.plan.length}).`);
+    }
+    if (sections.plan[1] && !/lifestyle modification/i.test(sections.plan[1])) {
+      add("PLAN_FORMAT", "【Plan】line 2 must be '- Lifestyle modification'.");
+    }
+    if (sections.plan[2] && !/lipid profile\s*\+\s*alt/i.test(sections.plan[2])) {
+      add("PLAN_FORMAT", "【Plan】line 3 must be '- Lipid profile + ALT in 8–12 weeks'.");
+    }
+    const highRisk = escRisk?.category === "high" || escRisk?.category === "very_high";
+    // ACC2018_SAMS_NONSTATIN: severe / recurrent SAMS opens non-statin therapy regardless of category
+    const samsNonStatin = (sams?.suggestions || []).some((x) => x.action === "non_statin");
+    if (!highRisk && !samsNonStatin && sections.plan.some((l) => NON_STATIN_RE.test(l))) {
+      add(
+        "NON_STATIN_NOT_ALLOWED",
+        `【Plan】mentions ezetimibe/PCSK9 but ESC risk is ${escRisk?.category ?? "unknown"} (only allowed for high/very_high).`
+      );
+    }
+  }
+
+  // SAMS: no statin while on hold; never the failed statin at the failed dose or higher
+  if (sections.plan?.[0] && sams?.intolerant) {
+    const planned = parseStatinsTried(sections.plan[0].toLowerCase());
+    if ((sams.severity === "severe" || sams.severity === "moderate") && planned.length) {
+      add("PLAN_SAMS_HOLD", `【Plan】prescribes ${planned[0].name} but the statin is on hold (SAMS severity ${sams.severity}).`);
+    }
+    for (const p of planned) {
+      const failed = (sams.culprits || []).find((c) => c.statin === p.statin);
+      if (!failed) continue;
+      const max = _maxDose(p);
+      if (failed.doseMg === null || max === null || max >= failed.doseMg) {
+        add(
+          "PLAN_SAMS_INTOLERANT_STATIN",
+          `【Plan】prescribes ${p.name}${_doseText(p)}, which was not tolerated${failed.doseMg ? ` at ${failed.doseMg} mg` : ""}.`
+        );
+      }
+    }
+  }
+
+  // Renal / ancestry caps (dose only; start-dose advice is not checked)
+  if (sections.plan?.[0] && dosing) {
+    const planned = parseStatinsTried(sections.plan[0].toLowerCase());
+    if (dosing.doNotInitiate && planned.length) {
+      add("PLAN_DIALYSIS_STATIN", `【Plan】starts ${planned[0].name} on dialysis without ASCVD (${dosing.evidenceId}).`);
+    }
+    for (const p of planned) {
+      const lim = dosing.byStatin?.[p.statin];
+      const max = _maxDose(p);
+      if (lim?.maxDoseMg != null && max !== null && max > lim.maxDoseMg) {
+        add(
+          "PLAN_STATIN_DOSE_CAP",
+          `【Plan】prescribes ${p.name}${_doseText(p)}, above the ${lim.maxDoseMg} mg cap (${lim.reasons.join("; ")}).`
+        );
+      }
+    }
+  }
+
+  // Formulary: a strength the clinic cannot order is not a usable Plan line
+  if (sections.plan?.[0] && formulary?.items?.length) {
+    for (const p of parseStatinsTried(sections.plan[0].toLowerCase())) {
+      const strengths = formulary.items.filter((x) => x.components[p.statin]).map((x) => x.components[p.statin]);
+      if (!strengths.length) {
+        add("PLAN_NOT_IN_FORMULARY", `【Plan】prescribes ${p.name}, which is not in the clinic formulary.`);
+      } else if ((p.doseRangeMg || []).some((mg) => !strengths.includes(mg))) {
+        // both ends of "10–20 mg" must be orderable tablet strengths
+        add(
+          "PLAN_NOT_IN_FORMULARY",
+          `【Plan】prescribes ${p.name}${_doseText(p)}; stocked strengths: ${[...new Set(strengths)].sort((a, b) => a - b).join("/")} mg.`
+        );
+      }
+    }
+  }
+
+  // Interactions / pregnancy: same statin parse as SAMS, checked against the interaction table result
+  if (sections.plan?.[0] && interactions) {
+    const planned = parseStatinsTried(sections.plan[0].toLowerCase());
+    if ((interactions.pregnancy || interactions.lactation) && planned.length) {
+      add(
+        "PLAN_PREGNANCY_STATIN",
+        `【Plan】prescribes ${planned[0].name} but the patient is ${interactions.pregnancy ? "pregnant" : "breastfeeding"}.`
+      );
+    }
+    for (const p of planned) {
+      const r = interactions.byStatin?.[p.statin];
+      if (r?.action === "avoid") {
+        add("PLAN_STATIN_INTERACTION", `【Plan】prescribes ${p.name}, which should be avoided (${r.reasons.join("; ")}).`);
+      } else if (r?.action === "cap" && _maxDose(p) !== null && _maxDose(p) > r.maxDoseMg) {
+        add(
+          "PLAN_STATIN_INTERACTION",
+          `【Plan】prescribes ${p.name}${_doseText(p)}, above the ${r.maxDoseMg} mg cap (${r.reasons.join("; ")}).`
+        );
+      }
+    }
+  }
+
+  // ESC2025_LPA_DECISION_GUARD: low/moderate risk → the Plan must not act on Lp(a) alone
+  if (sections.plan && escRisk?.lpaDecisionGuard && sections.plan.some((l) => LPA_RE.test(l))) {
+    add("PLAN_LPA_GUARD", "【Plan】cites Lp(a) but ESC risk is low/moderate (ESC2025_LPA_DECISION_GUARD).");
+  }
+
+  // 2)【Evidence & Guideline Support】exactly 1 line, single known evidence id
+  if (!sections.evidence) {
+    add("EVIDENCE_MISSING", "【Evidence & Guideline Support】section is missing.");
+  } else {
+    if (sections.evidence.length !== 1) {
+      add("EVIDENCE_LINE_COUNT", `【Evidence & Guideline Support】must have exactly 1 line (found ${sections.evidence.length}).`);
+    }
+    const text = sections.evidence.join("\n");
+    const ids = [...new Set(text.match(EVIDENCE_ID_RE) || [])];
+    if (ids.length !== 1) {
+      add("EVIDENCE_ID_COUNT", `【Evidence & Guideline Support】must cite exactly one evidence id (found ${ids.length}).`);
+    }
+    ids.filter((id) => !known.has(id)).forEach((id) => {
+      add("EVIDENCE_ID_UNKNOWN", `Evidence id ${id} is not in the evidence pack.`);
+    });
+    if (NON_STATIN_RE.test(text)) {
+      add("EVIDENCE_NON_STATIN", "【Evidence & Guideline Support】must not mention ezetimibe/PCSK9.");
+    }
+    // Lp(a) only when the engine reported it as a risk enhancer, and never as a reclassifier
+    if (LPA_RE.test(text)) {
+      const lpaEnhancer = (escRisk?.riskEnhancers || []).some((e) => e.factor === "Lp(a)");
+      if (!lpaEnhancer) {
+        add("EVIDENCE_LPA", "【Evidence & Guideline Support】must not mention Lp(a) (no Lp(a) risk enhancer reported).");
+      } else if (LPA_RECLASS_RE.test(text)) {
+        add("EVIDENCE_LPA_RECLASS", "Lp(a) is a risk-enhancing factor only; it must not be described as raising the ESC risk category.");
+      }
+    }
+  }
+
+  // 3) severe hypercholesterolemia wording only when LDL ≥190
+  const ldl = nhi?.ldl_mgdl;
+  if (SEVERE_HYPERCHOL_RE.test(String(answer || "")) && !(typeof ldl === "number" && ldl >= 190)) {
+    add(
+      "SEVERE_HYPERCHOL_NOT_ALLOWED",
+      `"Severe hypercholesterolemia / LDL ≥190" used but LDL is ${ldl ?? "not provided"}.`
+    );
+  }
+
+  // 4)【Taiwan NHI 給付考量】exactly 1 line matching [NHI auto-check]
+  if (!sections.nhi) {
+    add("NHI_MISSING", "【Taiwan NHI 給付考量】section is missing.");
+  } else {
+    if (sections.nhi.length !== 1) {
+      add("NHI_LINE_COUNT", `【Taiwan NHI 給付考量】must have exactly 1 line (found ${sections.nhi.length}).`);
+    }
+    const text = sections.nhi.join("\n");
+    const saysNot = /not eligible/i.test(text);
+    const saysEligible = /\beligible\b/i.test(text.replace(/not eligible/gi, ""));
+    if (saysNot && saysEligible) {
+      add("NHI_BOTH_ELIGIBLE", "NHI line states both Eligible and Not eligible.");
+    } else if (typeof nhi?.eligible === "boolean" && (saysNot || saysEligible)) {
+      if (nhi.eligible === saysNot) {
+        add(
+          "NHI_ELIGIBILITY_MISMATCH",
+          `NHI line says ${saysNot ? "Not eligible" : "Eligible"} but [NHI auto-check] eligible = ${nhi.eligible}.`
+        );
+      }
+    }
+
+    // any number of the row counts: LDL threshold, the TC alternative ("TC ≥200 OR LDL-C ≥130") or a met criterion
+    const accepted = _nhiThresholdNumbers(nhi);
+    if (accepted.length) {
+      const nums = (text.match(/(?<!\w)\d{2,3}(?!\w)/g) || []).map(Number);
+      if (!nums.some((n) => accepted.includes(n))) {
+        add("NHI_THRESHOLD_MISMATCH", `NHI line must state the threshold (${nhi.startThreshold ?? `${nhi.threshold_mgdl} mg/dL`}).`);
+      }
+    }
+
+    const ids = [...new Set(text.match(EVIDENCE_ID_RE) || [])];
+    const nhiIds = ids.filter((id) => id.startsWith("NHI_"));
+    const notCovered = nhi && nhi.evidenceId === null;
+    if (notCovered) {
+      if (ids.length) {
+        add("NHI_ID_NOT_COVERED", `No NHI row applies ([NHI auto-check] evidence id none) but the NHI line cites ${ids.join(", ")}.`);
+      }
+      if (!/本 evidence pack 未涵蓋/.test(text)) {
+        add("NHI_NOT_COVERED_WORDING", "NHI line must say 「本 evidence pack 未涵蓋」 when no NHI row applies.");
+      }
+    } else if (nhiIds.length !== 1 || ids.length !== 1) {
+      add("NHI_ID_COUNT", `NHI line must cite exactly one NHI evidence id (found ${ids.length}).`);
+    }
+    ids.filter((id) => !known.has(id)).forEach((id) => {
+      add("NHI_ID_UNKNOWN", `NHI evidence id ${id} is not in the evidence pack.`);
+    });
+    const expected = expectedNhiEvidenceId(nhi);
+    if (expected && nhiIds.length === 1 && nhiIds[0] !== expected) {
+      add(
+        "NHI_ID_MISMATCH",
+        `NHI line cites ${nhiIds[0]} but [NHI auto-check] (${nhi.category}, risk factors ${nhi.riskFactorCount}) requires ${expected}.`
+      );
+    }
+    if (/secondary prevention/i.test(text) && nhi?.category !== "secondary_prevention") {
+      add("NHI_SECONDARY_NOT_ALLOWED", "NHI line mentions secondary prevention but [NHI auto-check] category is primary_prevention.");
+    }
+  }
+
+  return violations;
+}
+
+export function buildPlanRepairPrompt(prompt, answer, violations) {
+  return (
+    prompt +
+    "\n\n=== 上一版輸出（未通過系統檢核） ===\n" +
+    answer +
+    "\n=== END 上一版輸出 ===\n\n" +
+    "系統檢核發現以下違規（必須全部修正）：\n" +
+    violations.map((v) => `- [${v.rule}] ${v.message}`).join("\n") +
+    "\n\n請依照原本所有規則，完整重新輸出三個段落（不要解釋修改了什麼）。\n"
+  );
+}
@@ -0,0 +1,54 @@
+// api/risk.js
+// =====================================================
+// POST /api/risk — ESC/EAS 2025 risk stratification as JSON (no LLM, no API key)
+// Body: { "patient": { ... }, "soap": "..." }  (see api/engines.js)
+// Returns: { category, reasons, ldlTarget, riskEnhancers, enhancerReminders, lpaDecisionGuard,
+//            score2, fh, egfr, discordance, sams, dosing, interactions, statinSuggestion, ldlTracking, patientState }
+//   riskEnhancers: [{ factor, display, evidenceId, note }] — Lp(a) etc., never change category (api/escRisk.js)
+//   score2: { applicable, model, region, riskPercent, category, derivation, note } (api/score2.js)
+//   fh: DLCN { score, category, fhLikely, items, ldl, notes, reminders } (api/fhScore.js)
+//   discordance: ESC vs NHI { status, selfPay, explanation: { zh, en }, checklist } (api/discordance.js)
+//   sams: statin intolerance pathway (api/statinIntolerance.js); statinSuggestion already adjusted
+//   dosing: { egfr, dialysis, asianAncestry, byStatin, doNotInitiate, reminders } (api/statinDosing.js)
+//   interactions: { medications, pregnancy, lactation, childbearingAge, byStatin, reminders } (api/statinInteractions.js)
+//   statinSuggestion.options[].orderable: stocked products { brand, strengthMg, nhiCode, price } (api/formulary.js)
+//   egfr: { value, provenance, calculation } — calculation = CKD-EPI 2021 result when derived from creatinine
+// =====================================================
+
+import { createEngineEndpoint } from "./engines.js";
+
+export default createEngineEndpoint(
+  ({
+    escRisk,
+    score2,
+    fh,
+    discordance,
+    sams,
+    dosing,
+    interactions,
+    statinSuggestion,
+    ldlTracking,
+    patientState,
+  }) => ({
+    category: escRisk.category,
+    reasons: escRisk.reasons,
+    ldlTarget: escRisk.ldlTarget,
+    riskEnhancers: escRisk.riskEnhancers,
+    enhancerReminders: escRisk.enhancerReminders,
+    lpaDecisionGuard: escRisk.lpaDecisionGuard,
+    score2,
+    fh,
+    egfr: {
+      value: patientState.values.egfr,
+      provenance: patientState.provenance.egfr,
+      calculation: patientState.egfrCalculation,
+    },
+    discordance,
+    sams,
+    dosing,
+    interactions,
+    statinSuggestion,
+    ldlTracking,
+    patientState,
+  })
+);
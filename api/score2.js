@@ -0,0 +1,206 @@
+// api/score2.js
+// =====================================================
+// SCORE2 (age 40–69) / SCORE2-OP (age 70–89) 10-year CVD risk (NO LLM REQUIRED)
+// Goal: apparently healthy people (no ASCVD / DM / CKD) should not all land in "moderate by default";
+// the ESC stratifier takes the age-specific SCORE2 category instead.
+//
+// - SCORE2 Working Group. Eur Heart J 2021;42:2439 (SCORE2)
+// - SCORE2-OP Working Group. Eur Heart J 2021;42:2455 (SCORE2-OP)
+// Inputs: age, sex, smoking, SBP (mmHg), TC + HDL-C (mg/dL → mmol/L inside), diabetes, region
+// Region calibration: low | moderate | high | very_high (default SCORE2_REGION env, else "moderate")
+//
+// calculateScore2({ age, sex, smoking, sbp, tc, hdl, diabetes, region }) →
+//   { applicable, model, region, riskPercent, category, thresholds, inputs, derivation, note }
+//   category: "low_moderate" | "high" | "very_high" (ESC 2021 age-specific thresholds)
+// =====================================================
+
+export const SCORE2_REGIONS = ["low", "moderate", "high", "very_high"];
+
+const MGDL_PER_MMOL = 38.67;
+
+// Linear predictor coefficients; interactions are with the transformed age term
+const SCORE2_MODEL = {
+  M: {
+    age: 0.3742,
+    smoking: 0.6012,
+    sbp: 0.2777,
+    diabetes: 0.6457,
+    tchol: 0.1458,
+    hdl: -0.2698,
+    ageSmoking: -0.0755,
+    ageSbp: -0.0255,
+    ageTchol: -0.0281,
+    ageHdl: 0.0426,
+    ageDiabetes: -0.0983,
+    s0: 0.9605,
+    meanLp: 0,
+  },
+  F: {
+    age: 0.4648,
+    smoking: 0.7744,
+    sbp: 0.3131,
+    diabetes: 0.8096,
+    tchol: 0.1002,
+    hdl: -0.2606,
+    ageSmoking: -0.1088,
+    ageSbp: -0.0277,
+    ageTchol: -0.0226,
+    ageHdl: 0.0613,
+    ageDiabetes: -0.1272,
+    s0: 0.9776,
+    meanLp: 0,
+  },
+};
+
+const SCORE2_OP_MODEL = {
+  M: {
+    age: 0.0634,
+    diabetes: 0.4245,
+    smoking: 0.3524,
+    sbp: 0.0094,
+    tchol: 0.085,
+    hdl: -0.3564,
+    ageDiabetes: -0.0174,
+    ageSmoking: -0.0247,
+    ageSbp: -0.0005,
+    ageTchol: 0.0073,
+    ageHdl: 0.0091,
+    s0: 0.7576,
+    meanLp: 0.0929,
+  },
+  F: {
+    age: 0.0789,
+    diabetes: 0.601,
+    smoking: 0.4921,
+    sbp: 0.0102,
+    tchol: 0.0605,
+    hdl: -0.304,
+    ageDiabetes: -0.0107,
+    ageSmoking: -0.0255,
+    ageSbp: -0.0004,
+    ageTchol: -0.0009,
+    ageHdl: 0.0154,
+    s0: 0.8082,
+    meanLp: 0.229,
+  },
+};
+
+// Recalibration: risk = 1 − exp(−exp(scale1 + scale2 × ln(−ln(1 − uncalibrated))))
+const SCORE2_CALIBRATION = {
+  low: { M: [-0.5699, 0.7476], F: [-0.738, 0.7019] },
+  moderate: { M: [-0.1565, 0.8009], F: [-0.3143, 0.7701] },
+  high: { M: [0.3207, 0.936], F: [0.571, 0.9369] },
+  very_high: { M: [0.5836, 0.8294], F: [0.9412, 0.8329] },
+};
+
+const SCORE2_OP_CALIBRATION = {
+  low: { M: [-0.34, 1.19], F: [-0.52, 1.01] },
+  moderate: { M: [0.01, 1.25], F: [-0.1, 1.1] },
+  high: { M: [0.08, 1.15], F: [0.38, 1.09] },
+  very_high: { M: [0.05, 0.7], F: [0.38, 0.69] },
+};
+
+// ESC 2021: <50 y 2.5/7.5 %; 50–69 y 5/10 %; ≥70 y 7.5/15 %
+export function score2Thresholds(age) {
+  if (age < 50) return { high: 2.5, veryHigh: 7.5 };
+  if (age < 70) return { high: 5, veryHigh: 10 };
+  return { high: 7.5, veryHigh: 15 };
+}
+
+export function score2Category(age, riskPercent) {
+  const t = score2Thresholds(age);
+  if (riskPercent >= t.veryHigh) return "very_high";
+  if (riskPercent >= t.high) return "high";
+  return "low_moderate";
+}
+
+export function defaultScore2Region(env = process.env) {
+  const v = String(env.SCORE2_REGION ?? "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+  return SCORE2_REGIONS.includes(v) ? v : "moderate";
+}
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+// SCORE2: age/SBP/HDL centred and scaled; SCORE2-OP: centred only (age 73, SBP 150, HDL 1.4)
+function _transform(op, { age, sbp, tcMmol, hdlMmol }) {
+  return op
+    ? { age: age - 73, sbp: sbp - 150, tchol: tcMmol - 6, hdl: hdlMmol - 1.4 }
+    : { age: (age - 60) / 5, sbp: (sbp - 120) / 20, tchol: tcMmol - 6, hdl: (hdlMmol - 1.3) / 0.5 };
+}
+
+export function calculateScore2({
+  age = null,
+  sex = null,
+  smoking = false,
+  sbp = null,
+  tc = null,
+  hdl = null,
+  diabetes = false,
+  region = defaultScore2Region(),
+} = {}) {
+  const reg = SCORE2_REGIONS.includes(region) ? region : defaultScore2Region();
+  const result = {
+    applicable: false,
+    model: null,
+    region: reg,
+    riskPercent: null,
+    category: null,
+    thresholds: null,
+    inputs: { age, sex, smoking: !!smoking, sbp, tc, hdl, diabetes: !!diabetes },
+    derivation: null,
+    note: null,
+  };
+
+  const missing = [
+    _isFiniteNum(age) ? null : "age",
+    sex === "M" || sex === "F" ? null : "sex",
+    _isFiniteNum(sbp) ? null : "SBP",
+    _isFiniteNum(tc) ? null : "TC",
+    _isFiniteNum(hdl) ? null : "HDL-C",
+  ].filter(Boolean);
+  if (missing.length) {
+    result.note = `SCORE2 not calculated: missing ${missing.join("/")}.`;
+    return result;
+  }
+  if (age < 40 || age > 89) {
+    result.note = `SCORE2 not calculated: age ${age} outside 40–89 (SCORE2 40–69, SCORE2-OP 70–89).`;
+    return result;
+  }
+
+  const op = age >= 70;
+  const m = (op ? SCORE2_OP_MODEL : SCORE2_MODEL)[sex];
+  const [scale1, scale2] = (op ? SCORE2_OP_CALIBRATION : SCORE2_CALIBRATION)[reg][sex];
+  const x = _transform(op, { age, sbp, tcMmol: tc / MGDL_PER_MMOL, hdlMmol: hdl / MGDL_PER_MMOL });
+  const smk = smoking ? 1 : 0;
+  const dm = diabetes ? 1 : 0;
+
+  const lp =
+    m.age * x.age +
+    m.smoking * smk +
+    m.sbp * x.sbp +
+    m.diabetes * dm +
+    m.tchol * x.tchol +
+    m.hdl * x.hdl +
+    m.ageSmoking * x.age * smk +
+    m.ageSbp * x.age * x.sbp +
+    m.ageTchol * x.age * x.tchol +
+    m.ageHdl * x.age * x.hdl +
+    m.ageDiabetes * x.age * dm;
+
+  const uncalibrated = 1 - m.s0 ** Math.exp(lp - m.meanLp);
+  const calibrated = 1 - Math.exp(-Math.exp(scale1 + scale2 * Math.log(-Math.log(1 - uncalibrated))));
+
+  result.applicable = true;
+  result.model = op ? "SCORE2-OP" : "SCORE2";
+  result.riskPercent = Math.round(calibrated * 1000) / 10;
+  result.thresholds = score2Thresholds(age);
+  result.category = score2Category(age, result.riskPercent);
+  result.derivation =
+    `${result.model} (${reg} risk region) 10-year CVD risk ${result.riskPercent}% ` +
+    `[age ${age}, ${sex === "F" ? "female" : "male"}, ${smoking ? "smoker" : "non-smoker"}, SBP ${sbp}, ` +
+    `TC ${tc} mg/dL, HDL-C ${hdl} mg/dL${diabetes ? ", diabetes" : ""}] → ${result.category} ` +
+    `(age-specific thresholds ${result.thresholds.high}% / ${result.thresholds.veryHigh}%)`;
+  return result;
+}
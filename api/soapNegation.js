@@ -0,0 +1,265 @@
+// api/soapNegation.js
+// =====================================================
+// SOAP negation / uncertainty layer (NO LLM REQUIRED)
+// Goal: "SH: denied alcohol, betel or cigarette" must NOT turn into "current smoker".
+//
+// - splitSoapLines(): numbers every SOAP line and tags it with its section (PH/SH/FH/Med/PI...)
+// - assessFinding(): finds every mention of a finding and decides, per clause, whether it is
+//   affirmed / negated / uncertain / family (someone else's history)
+//
+// Scope rules (NegEx-style, engineering-simplified):
+// - A cue only applies inside its own clause (split on . ; 。 but/however/但/不過 ...).
+// - Commas do NOT end an English cue's scope, so "denied HTN, DM" negates both; 無/否認/沒有/未 stop at
+//   a comma ("無高血壓,有糖尿病") but run through 、 ("否認高血壓、糖尿病").
+// - An affirmative cue (有 / + / (+)) between the negation cue and the term ends the negation.
+// - The cue closest BEFORE the term wins; after the term only "(-)", ": no" / "= no" or a "-" that ends
+//   the item negate ("DM no complication", "HTN - on amlodipine" stay affirmed); "(+)" / "+" affirms.
+// =====================================================
+
+export const FINDING_STATUS = {
+  AFFIRMED: "affirmed",
+  NEGATED: "negated",
+  UNCERTAIN: "uncertain",
+  FAMILY: "family",
+  ABSENT: "absent",
+};
+
+// Aggregation priority when a finding is mentioned more than once:
+// any affirmed mention wins, then uncertain, then negated.
+const STATUS_PRIORITY = ["affirmed", "uncertain", "negated", "family", "absent"];
+
+const SECTION_LABELS = {
+  s: "s",
+  o: "o",
+  a: "a",
+  p: "p",
+  cc: "cc",
+  pi: "pi",
+  hpi: "pi",
+  ph: "ph",
+  pmh: "ph",
+  "past history": "ph",
+  allergy: "allergy",
+  med: "med",
+  meds: "med",
+  medication: "med",
+  medications: "med",
+  fh: "fh",
+  "family history": "fh",
+  surgery: "surgery",
+  sh: "sh",
+  "social history": "sh",
+  vs: "o",
+  "過去病史": "ph",
+  "用藥": "med",
+  "家族史": "fh",
+  "社會史": "sh",
+};
+
+const CLAUSE_BOUNDARY =
+  /(?:\.(?!\d)|[;。；!！]|\bbut\b|\bhowever\b|\bexcept\b|\balthough\b|\bapart from\b|但是|但|不過|然而|除了)/g;
+
+const NEGATION_CUES =
+  /(?:\bdenied\b|\bdenies\b|\bdeny\b|\bno\b|\bnot\b|\bwithout\b|\bnegative for\b|\bfree of\b|\bnever\b|\babsence of\b|否認|沒有|(?<!有)無(?!法)|未(?!知))/g;
+
+const UNCERTAINTY_CUES =
+  /(?:\bpossible\b|\bpossibly\b|\bprobable\b|\bsuspected\b|\bsuspect\b|\bsuspicious for\b|\bquestionable\b|\bborderline\b|\br\/o\b|\brule out\b|\bcannot exclude\b|疑似|可能|待排除|待確認|有無)/g;
+
+const FAMILY_CUES =
+  /(?:\bfather\b|\bmother\b|\bbrother\b|\bsister\b|\bsiblings?\b|\bparents?\b|\bson\b|\bdaughter\b|\bfamily\b|父親|母親|爸爸|媽媽|哥哥|姊姊|姐姐|弟弟|妹妹|兒子|女兒|家族|家人)/g;
+
+// CJK negation cues (scope ends at a comma); affirmative cues end any negation scope
+const CJK_NEGATION_CUE = /^(?:否認|沒有|無|未)$/;
+const AFFIRMATIVE_CUES = /(?:有(?!無|沒有)|\(\+\)|\+)/;
+
+// "-" only negates when it ends the item: "HTN -, DM +" / "DM (-)" but not "HTN - on amlodipine"
+const ITEM_END = String.raw`(?=\s*(?:[,、)]|$))`;
+const POST_NEGATION = new RegExp(
+  String.raw`^\s*(?:\(-\)|-${ITEM_END}|[:=]\s*(?:\(-\)|-${ITEM_END}|no\b|none\b|denied\b|negative\b|nil\b|無|否認|沒有))`
+);
+const POST_AFFIRMATION = /^\s*(?:[:=]\s*)?(?:\(\+\)|\+)/;
+const POST_UNCERTAIN = /^\s*(?:[:=])?\s*(?:\?|\(\?\)|\bsuspected\b|待確認)/;
+
+function _globalRe(re) {
+  return new RegExp(re.source, re.flags.includes("g") ? re.flags : re.flags + "g");
+}
+
+function _findAll(text, pattern) {
+  const hits = [];
+  if (pattern instanceof RegExp) {
+    for (const m of text.matchAll(_globalRe(pattern))) {
+      if (!m[0]) continue;
+      hits.push({ index: m.index, end: m.index + m[0].length, match: m[0] });
+    }
+    return hits;
+  }
+  const needle = String(pattern).toLowerCase();
+  if (!needle) return hits;
+  let from = 0;
+  while (true) {
+    const i = text.indexOf(needle, from);
+    if (i < 0) break;
+    hits.push({ index: i, end: i + needle.length, match: needle });
+    from = i + needle.length;
+  }
+  return hits;
+}
+
+function _lastCueBefore(prefix, cueRe) {
+  let last = null;
+  for (const m of prefix.matchAll(_globalRe(cueRe))) last = { index: m.index, cue: m[0] };
+  return last;
+}
+
+// Last negation cue before the term, unless its scope was ended by a comma (CJK cues) or an
+// affirmative cue ("否認有糖尿病": the 有 right after the cue is part of the negation)
+function _negationInScope(prefix) {
+  const neg = _lastCueBefore(prefix, NEGATION_CUES);
+  if (!neg) return null;
+  const between = prefix.slice(neg.index + neg.cue.length).replace(/^\s*有/, "");
+  if (AFFIRMATIVE_CUES.test(between)) return null;
+  if (CJK_NEGATION_CUE.test(neg.cue) && between.includes(",")) return null;
+  return neg;
+}
+
+function _clauseAround(text, index) {
+  let start = 0;
+  let end = text.length;
+  for (const m of text.matchAll(CLAUSE_BOUNDARY)) {
+    const b = m.index;
+    if (b < index) start = b + m[0].length;
+    else if (b >= index) {
+      end = b;
+      break;
+    }
+  }
+  return { start, end };
+}
+
+// ----------------------------------------------------
+// 1) Split (already normalized) SOAP text into numbered lines with sections
+// ----------------------------------------------------
+export function splitSoapLines(text) {
+  const rows = String(text || "").split("\n");
+  const lines = [];
+  let section = null;
+
+  rows.forEach((raw, i) => {
+    let body = raw;
+    const m = raw.match(/^\s*([a-z][a-z ]{0,15}|[一-鿿]{2,4})\s*:\s*/);
+    if (m && SECTION_LABELS[m[1].trim()]) {
+      section = SECTION_LABELS[m[1].trim()];
+      body = raw.slice(m[0].length);
+    }
+    lines.push({ lineNo: i + 1, section, text: raw, body });
+  });
+
+  return lines;
+}
+
+// ----------------------------------------------------
+// 2) Status of ONE mention inside one line
+// ----------------------------------------------------
+function _mentionStatus(line, hit, { allowFamily = false, negatedSpans = [] } = {}) {
+  const span = negatedSpans.find((s) => hit.index < s.end && hit.end > s.index);
+  if (span) return { status: FINDING_STATUS.NEGATED, cue: span.match };
+
+  if (line.section === "fh" && !allowFamily) return { status: FINDING_STATUS.FAMILY, cue: "FH:" };
+
+  const { start, end } = _clauseAround(line.text, hit.index);
+  const prefix = line.text.slice(start, hit.index);
+  const suffix = line.text.slice(hit.end, end);
+
+  if (!allowFamily) {
+    const fam = _lastCueBefore(prefix, FAMILY_CUES);
+    if (fam) return { status: FINDING_STATUS.FAMILY, cue: fam.cue };
+  }
+
+  const postAff = suffix.match(POST_AFFIRMATION);
+  if (postAff) return { status: FINDING_STATUS.AFFIRMED, cue: postAff[0].trim() };
+
+  const neg = _negationInScope(prefix);
+  const unc = _lastCueBefore(prefix, UNCERTAINTY_CUES);
+  if (neg || unc) {
+    const useNeg = neg && (!unc || neg.index > unc.index);
+    return useNeg
+      ? { status: FINDING_STATUS.NEGATED, cue: neg.cue }
+      : { status: FINDING_STATUS.UNCERTAIN, cue: unc.cue };
+  }
+
+  const postNeg = suffix.match(POST_NEGATION);
+  if (postNeg) return { status: FINDING_STATUS.NEGATED, cue: postNeg[0].trim() };
+  const postUnc = suffix.match(POST_UNCERTAIN);
+  if (postUnc) return { status: FINDING_STATUS.UNCERTAIN, cue: postUnc[0].trim() };
+
+  return { status: FINDING_STATUS.AFFIRMED, cue: null };
+}
+
+// List entry: present unless a negatedPatterns span covers it
+function _listedStatus(hit, negatedSpans) {
+  const span = negatedSpans.find((s) => hit.index < s.end && hit.end > s.index);
+  return span ? { status: FINDING_STATUS.NEGATED, cue: span.match } : { status: FINDING_STATUS.AFFIRMED, cue: null };
+}
+
+// ----------------------------------------------------
+// 3) Assess a finding across all SOAP lines
+// ----------------------------------------------------
+// patterns: same format as lipidEvidence _hasAny (strings or RegExp)
+// options.negatedPatterns: phrases that always mean "not current" (e.g. "ex-smoker", "戒菸")
+// options.allowFamily: true when the finding itself IS family history
+// options.cues: false → only negatedPatterns can negate (medication lists: "Med: cyclosporine: no dose change")
+//
+// Returns { status, evidence: { lineNo, section, text, matched, cue } | null, mentions: [...] }
+export function assessFinding(lines, patterns, options = {}) {
+  const { negatedPatterns = [], allowFamily = false, cues = true } = options;
+  const mentions = [];
+
+  for (const line of lines) {
+    const negatedSpans = negatedPatterns.flatMap((p) => _findAll(line.text, p));
+    const hits = patterns.flatMap((p) => _findAll(line.text, p));
+
+    // Overlapping patterns ("smoker" inside "current smoker") → keep one mention per span
+    hits.sort((a, b) => a.index - b.index || b.end - a.end);
+    let lastEnd = -1;
+    for (const hit of hits) {
+      if (hit.index < lastEnd) continue;
+      lastEnd = hit.end;
+      const { status, cue } = cues
+        ? _mentionStatus(line, hit, { allowFamily, negatedSpans })
+        : _listedStatus(hit, negatedSpans);
+      mentions.push({
+        status,
+        lineNo: line.lineNo,
+        section: line.section,
+        text: line.text.trim(),
+        matched: hit.match,
+        cue,
+      });
+    }
+
+    // A negated-only phrase ("never smoked") still counts as an explicit negation
+    for (const span of negatedSpans) {
+      if (hits.some((h) => h.index < span.end && h.end > span.index)) continue;
+      mentions.push({
+        status: FINDING_STATUS.NEGATED,
+        lineNo: line.lineNo,
+        section: line.section,
+        text: line.text.trim(),
+        matched: span.match,
+        cue: span.match,
+      });
+    }
+  }
+
+  if (!mentions.length) return { status: FINDING_STATUS.ABSENT, evidence: null, mentions };
+
+  for (const status of STATUS_PRIORITY) {
+    const first = mentions.find((m) => m.status === status);
+    if (first) return { status, evidence: first, mentions };
+  }
+  return { status: FINDING_STATUS.ABSENT, evidence: null, mentions };
+}
+
+export function isAffirmed(finding) {
+  return finding?.status === FINDING_STATUS.AFFIRMED;
+}
@@ -0,0 +1,150 @@
+// api/statinDosing.js
+// =====================================================
+// Renal- and ancestry-adjusted statin dosing (NO LLM REQUIRED)
+// Goal: "Rosuvastatin 20–40 mg" must not reach the Plan for an eGFR 22 patient or,
+// unexplained, for a Taiwanese patient (Asian ancestry ≈ 2× rosuvastatin exposure).
+//
+// - STATIN_DOSE_LIMITS: product-labeling caps (operational; NOT part of the evidence pack)
+//   renal: [{ below, startMg?, maxDoseMg?, note }] — applies when eGFR < below (or on dialysis / ESRD = eGFR <15)
+//   asian: { startMg?, maxDoseMg?, note }
+// - defaultAsianAncestry(env): STATIN_ASIAN_ANCESTRY (default on; clinic serves a Taiwanese population)
+// - assessStatinDosing(patientState, { asianAncestry }) → { egfr, egfrSource, dialysis, esrd, asianAncestry,
+//     byStatin: { [statin]: { startMg, maxDoseMg, reasons[] } }, doNotInitiate, evidenceId, reminders }
+// - applyStatinDosing(suggestion, dosing) → options capped / start dose lowered, each change explained
+//
+// Dialysis without ASCVD: ESC 2019 does not recommend starting a statin (continue if already on one).
+// =====================================================
+
+import { STATINS, statinOptionLabel } from "./statinIntolerance.js";
+
+export const STATIN_DOSE_LIMITS = {
+  atorvastatin: {
+    renal: [],
+    asian: null,
+  },
+  rosuvastatin: {
+    renal: [{ below: 30, startMg: 5, maxDoseMg: 10, note: "severe renal impairment: start 5 mg, max 10 mg" }],
+    asian: { startMg: 5, maxDoseMg: 20, note: "Asian ancestry (~2× exposure): start 5 mg, max 20 mg" },
+  },
+  simvastatin: {
+    renal: [{ below: 30, startMg: 5, note: "severe renal impairment: start 5 mg, titrate with monitoring" }],
+    asian: null,
+  },
+  pravastatin: {
+    renal: [{ below: 30, startMg: 10, note: "severe renal impairment: start 10 mg" }],
+    asian: null,
+  },
+  pitavastatin: {
+    renal: [{ below: 60, startMg: 1, maxDoseMg: 2, note: "eGFR <60 / dialysis: start 1 mg, max 2 mg" }],
+    asian: null,
+  },
+  fluvastatin: {
+    renal: [{ below: 30, maxDoseMg: 40, note: "severe renal impairment: doses >40 mg not studied" }],
+    asian: null,
+  },
+  lovastatin: {
+    renal: [{ below: 30, maxDoseMg: 20, note: "severe renal impairment: doses >20 mg need caution" }],
+    asian: null,
+  },
+};
+
+export function defaultAsianAncestry(env = process.env) {
+  const v = String(env.STATIN_ASIAN_ANCESTRY ?? "").trim().toLowerCase();
+  return !["0", "false", "no", "off"].includes(v);
+}
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+// patientState (api/patientState.js): values.egfr / dialysis / esrd / ascvd, provenance.egfr, statinsTried
+export function assessStatinDosing(patientState, { asianAncestry = defaultAsianAncestry() } = {}) {
+  const v = patientState?.values || {};
+  const egfr = _isFiniteNum(v.egfr) ? v.egfr : null;
+  const egfrSource = patientState?.provenance?.egfr?.label ?? null;
+  const dialysis = !!v.dialysis;
+  const esrd = !!v.esrd;
+  const kidneyFailure = dialysis || esrd;
+
+  const byStatin = {};
+  const add = (statin, limit, reason) => {
+    const cur = byStatin[statin] || { startMg: null, maxDoseMg: null, reasons: [] };
+    if (_isFiniteNum(limit.startMg)) cur.startMg = cur.startMg === null ? limit.startMg : Math.min(cur.startMg, limit.startMg);
+    if (_isFiniteNum(limit.maxDoseMg)) {
+      cur.maxDoseMg = cur.maxDoseMg === null ? limit.maxDoseMg : Math.min(cur.maxDoseMg, limit.maxDoseMg);
+    }
+    cur.reasons.push(reason);
+    byStatin[statin] = cur;
+  };
+
+  const renalLabel = dialysis ? "on dialysis" : esrd ? "ESRD (eGFR <15)" : `eGFR ${egfr}${egfrSource ? ` (${egfrSource})` : ""}`;
+  for (const [statin, limits] of Object.entries(STATIN_DOSE_LIMITS)) {
+    for (const r of limits.renal) {
+      if (kidneyFailure || (egfr !== null && egfr < r.below)) add(statin, r, `${renalLabel} → ${r.note}`);
+    }
+    if (asianAncestry && limits.asian) add(statin, limits.asian, limits.asian.note);
+  }
+
+  const reminders = [];
+  const renalImpaired = kidneyFailure || (egfr !== null && egfr < 30);
+  if (renalImpaired) {
+    reminders.push(`${renalLabel}: atorvastatin needs no renal dose adjustment; other statins are capped or started low.`);
+  }
+  if (egfr === null && !kidneyFailure) {
+    reminders.push("eGFR unknown → renal dose caps not applied; check creatinine before choosing the statin dose.");
+  }
+
+  // ESC 2019: dialysis-dependent CKD without ASCVD → do not start; already on a statin → continue
+  let doNotInitiate = false;
+  let evidenceId = null;
+  if (dialysis && !v.ascvd) {
+    const onStatin = (patientState?.statinsTried || []).some((x) => !x.intolerant);
+    doNotInitiate = !onStatin;
+    evidenceId = onStatin ? "ESC2019_CKD_DIALYSIS_CONTINUE" : "ESC2019_CKD_DIALYSIS_NO_INITIATE";
+    reminders.push(
+      onStatin
+        ? "Dialysis without ASCVD, already on a statin → continue it (ESC2019_CKD_DIALYSIS_CONTINUE)."
+        : "Dialysis without ASCVD → do not start a statin (ESC2019_CKD_DIALYSIS_NO_INITIATE)."
+    );
+  }
+
+  return { egfr, egfrSource, dialysis, esrd, asianAncestry, byStatin, doNotInitiate, evidenceId, reminders };
+}
+
+export function applyStatinDosing(suggestion, dosing) {
+  if (!suggestion || !dosing) return suggestion;
+
+  if (dosing.doNotInitiate) {
+    return {
+      ...suggestion,
+      options: suggestion.options.filter((o) => !o.statin),
+      note: `Dialysis without ASCVD → statin not initiated (${dosing.evidenceId}).`,
+      adjustedFor: [suggestion.adjustedFor, "dialysis"].filter(Boolean).join(" + "),
+    };
+  }
+
+  const adjustments = [];
+  const options = suggestion.options.map((o) => {
+    const lim = o.statin && o.doseMg ? dosing.byStatin[o.statin] : null;
+    if (!lim) return o;
+    const [lo, hi] = o.doseMg;
+    const max = lim.maxDoseMg ?? hi;
+    const range = [Math.min(lo, max, lim.startMg ?? lo), Math.min(hi, max)];
+    if (range[0] === lo && range[1] === hi) return o;
+    const notes = [...(o.notes || []), ...lim.reasons];
+    adjustments.push(`${STATINS[o.statin].name} ${lo}–${hi} → ${range[0]}–${range[1]} mg: ${lim.reasons.join("; ")}`);
+    return { ...o, doseMg: range, label: statinOptionLabel(o.statin, range, notes), notes, doseAdjusted: true };
+  });
+
+  if (!adjustments.length) return suggestion;
+  const why = [
+    adjustments.some((a) => /eGFR|dialysis|ESRD/.test(a)) ? "renal function" : null,
+    adjustments.some((a) => /Asian ancestry/.test(a)) ? "Asian ancestry" : null,
+  ].filter(Boolean);
+  return {
+    ...suggestion,
+    options,
+    doseAdjustments: adjustments,
+    adjustedFor: [suggestion.adjustedFor, ...why].filter(Boolean).join(" + "),
+  };
+}
@@ -0,0 +1,322 @@
+// api/statinInteractions.js
+// =====================================================
+// Statin drug–drug interactions + pregnancy / lactation (NO LLM REQUIRED)
+// Goal: "Med: clarithromycin 500 mg bid" must not get "Simvastatin 20–40 mg" suggested.
+//
+// - INTERACTING_DRUGS: local table (product labeling, operational; NOT part of the evidence pack)
+//   rules[statin] = { action: "avoid" | "cap" | "monitor", maxDoseMg?, note? }
+// - parseMedications(normalizedText) → [{ drug, label, lineNo, section, text }]
+//   Med: lines (only stopped/discontinued/off removes a listed drug; "Allergy: erythromycin" does not count)
+// - checkStatinInteractions(patientState) → { medications, pregnancy, lactation, childbearingAge,
+//     byStatin: { [statin]: { action, maxDoseMg, reasons[] } }, reminders }
+// - applyStatinInteractions(suggestion, interactions) → options filtered (avoid), dose-capped (cap)
+//   or annotated (monitor); pregnancy / lactation → no statin option
+// =====================================================
+
+import { splitSoapLines, assessFinding, isAffirmed } from "./soapNegation.js";
+import { STATINS, statinOptionLabel } from "./statinIntolerance.js";
+
+const ALL_STATINS = Object.keys(STATINS);
+const avoidAll = (note) => Object.fromEntries(ALL_STATINS.map((k) => [k, { action: "avoid", note }]));
+const monitorAll = (note) => Object.fromEntries(ALL_STATINS.map((k) => [k, { action: "monitor", note }]));
+
+export const INTERACTING_DRUGS = [
+  {
+    drug: "clarithromycin",
+    label: "Clarithromycin",
+    patterns: [/\bclarithromycin\b/, /\bklaricid\b/, "開羅理黴素"],
+    rules: {
+      simvastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      lovastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      atorvastatin: { action: "cap", maxDoseMg: 20 },
+      pravastatin: { action: "cap", maxDoseMg: 40 },
+    },
+  },
+  {
+    drug: "erythromycin",
+    label: "Erythromycin",
+    patterns: [/\berythromycin\b/, "紅黴素"],
+    rules: {
+      simvastatin: { action: "avoid", note: "CYP3A4 inhibitor" },
+      lovastatin: { action: "avoid", note: "CYP3A4 inhibitor" },
+      atorvastatin: { action: "monitor", note: "myopathy risk" },
+      pitavastatin: { action: "cap", maxDoseMg: 1 },
+    },
+  },
+  {
+    drug: "azole",
+    label: "Azole antifungal (itraconazole / ketoconazole / posaconazole / voriconazole)",
+    patterns: [/\bitraconazole\b/, /\bketoconazole\b/, /\bposaconazole\b/, /\bvoriconazole\b/, /\bsporanox\b/],
+    rules: {
+      simvastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      lovastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      atorvastatin: { action: "cap", maxDoseMg: 20 },
+      rosuvastatin: { action: "monitor", note: "minimal CYP3A4; preferred" },
+    },
+  },
+  {
+    drug: "fluconazole",
+    label: "Fluconazole",
+    patterns: [/\bfluconazole\b/, /\bdiflucan\b/],
+    rules: {
+      simvastatin: { action: "monitor", note: "moderate CYP3A4 / CYP2C9 inhibitor" },
+      atorvastatin: { action: "monitor", note: "moderate CYP3A4 inhibitor" },
+      fluvastatin: { action: "monitor", note: "CYP2C9 inhibitor" },
+    },
+  },
+  {
+    drug: "cyclosporine",
+    label: "Cyclosporine",
+    patterns: [/\bcyclosporin(?:e)?\b/, /\bciclosporin\b/, /\bneoral\b/, /\bsandimmun(?:e)?\b/, "環孢素"],
+    rules: {
+      simvastatin: { action: "avoid" },
+      lovastatin: { action: "avoid" },
+      atorvastatin: { action: "avoid" },
+      pitavastatin: { action: "avoid" },
+      rosuvastatin: { action: "cap", maxDoseMg: 5 },
+      pravastatin: { action: "cap", maxDoseMg: 20 },
+      fluvastatin: { action: "cap", maxDoseMg: 40 },
+    },
+  },
+  {
+    drug: "gemfibrozil",
+    label: "Gemfibrozil",
+    patterns: [/\bgemfibrozil\b/, /\blopid\b/],
+    rules: {
+      ...avoidAll("use fenofibrate if a fibrate is needed"),
+      rosuvastatin: { action: "cap", maxDoseMg: 10, note: "prefer fenofibrate" },
+    },
+  },
+  {
+    drug: "amiodarone",
+    label: "Amiodarone",
+    patterns: [/\bamiodarone\b/, /\bcordarone\b/, "臟得樂"],
+    rules: {
+      simvastatin: { action: "cap", maxDoseMg: 20 },
+      lovastatin: { action: "cap", maxDoseMg: 40 },
+      atorvastatin: { action: "monitor", note: "myopathy risk" },
+    },
+  },
+  {
+    drug: "dronedarone",
+    label: "Dronedarone",
+    patterns: [/\bdronedarone\b/, /\bmultaq\b/],
+    rules: {
+      simvastatin: { action: "cap", maxDoseMg: 10 },
+      lovastatin: { action: "cap", maxDoseMg: 20 },
+      rosuvastatin: { action: "cap", maxDoseMg: 10 },
+      atorvastatin: { action: "monitor", note: "CYP3A4 inhibitor" },
+    },
+  },
+  {
+    drug: "diltiazem_verapamil",
+    label: "Diltiazem / verapamil",
+    patterns: [/\bdiltiazem\b/, /\bherbesser\b/, /\bverapamil\b/, /\bisoptin\b/],
+    rules: {
+      simvastatin: { action: "cap", maxDoseMg: 10 },
+      lovastatin: { action: "cap", maxDoseMg: 20 },
+      atorvastatin: { action: "monitor", note: "moderate CYP3A4 inhibitor" },
+    },
+  },
+  {
+    drug: "amlodipine_ranolazine",
+    label: "Amlodipine / ranolazine",
+    patterns: [/\bamlodipine\b/, /\bnorvasc\b/, /\branolazine\b/, /\branexa\b/],
+    rules: {
+      simvastatin: { action: "cap", maxDoseMg: 20 },
+      lovastatin: { action: "cap", maxDoseMg: 20 },
+    },
+  },
+  {
+    drug: "ticagrelor",
+    label: "Ticagrelor",
+    patterns: [/\bticagrelor\b/, /\bbrilinta\b/],
+    rules: {
+      simvastatin: { action: "cap", maxDoseMg: 40 },
+      lovastatin: { action: "cap", maxDoseMg: 40 },
+    },
+  },
+  {
+    drug: "hiv_pi",
+    label: "HIV protease inhibitor / cobicistat",
+    patterns: [
+      /\britonavir\b/,
+      /\blopinavir\b/,
+      /\bdarunavir\b/,
+      /\batazanavir\b/,
+      /\bsaquinavir\b/,
+      /\btipranavir\b/,
+      /\bnelfinavir\b/,
+      /\bfosamprenavir\b/,
+      /\bcobicistat\b/,
+      /\bkaletra\b/,
+      /\bprezcobix\b/,
+      /\bgenvoya\b/,
+    ],
+    rules: {
+      simvastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      lovastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      atorvastatin: { action: "cap", maxDoseMg: 20 },
+      rosuvastatin: { action: "cap", maxDoseMg: 10 },
+      pravastatin: { action: "monitor" },
+      pitavastatin: { action: "monitor" },
+    },
+  },
+  {
+    drug: "nefazodone",
+    label: "Nefazodone",
+    patterns: [/\bnefazodone\b/],
+    rules: {
+      simvastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+      lovastatin: { action: "avoid", note: "strong CYP3A4 inhibitor" },
+    },
+  },
+  {
+    drug: "fusidic_acid",
+    label: "Systemic fusidic acid",
+    patterns: [/\bfusidic acid\b/, /\bfucidin\b/, /\bsodium fusidate\b/],
+    rules: avoidAll("rhabdomyolysis; hold the statin during the course"),
+  },
+  {
+    drug: "colchicine",
+    label: "Colchicine",
+    patterns: [/\bcolchicine\b/, "秋水仙素"],
+    rules: monitorAll("additive myopathy risk"),
+  },
+  {
+    drug: "warfarin",
+    label: "Warfarin",
+    patterns: [/\bwarfarin\b/, /\bcoumadin\b/, "可邁丁"],
+    rules: {
+      rosuvastatin: { action: "monitor", note: "INR may rise; check INR after start/dose change" },
+      simvastatin: { action: "monitor", note: "INR may rise; check INR after start/dose change" },
+      fluvastatin: { action: "monitor", note: "INR may rise; check INR after start/dose change" },
+      lovastatin: { action: "monitor", note: "INR may rise; check INR after start/dose change" },
+    },
+  },
+];
+
+export const PREGNANCY_PATTERNS = [/\bpregnan(?:t|cy)\b/, /\bgestational age\b/, "懷孕", "妊娠", "孕期"];
+export const LACTATION_PATTERNS = [/\bbreast ?feeding\b/, /\blactating\b/, /\blactation\b/, "哺乳", "餵母乳", "親餵"];
+
+// "stopped clarithromycin" / "amiodarone discontinued" / "warfarin off since 2025" / "停用 warfarin"
+// → not a current medication
+const STOPPED_PATTERNS = [
+  /\b(?:stopped|discontinued|d\/c|off)\b[^,;.]*/,
+  /[a-z]+\s+(?:stopped|discontinued|off(?!-))\b/,
+  /停用[^,;。，]*/,
+];
+
+// childbearing potential (engineering proxy when menopausal status is not recorded)
+export const CHILDBEARING_AGE = { min: 12, max: 50 };
+
+const ACTION_RANK = { monitor: 1, cap: 2, avoid: 3 };
+
+// Med: section when the note has one; otherwise every line except Allergy:
+// A drug listed under Med: is current unless STOPPED_PATTERNS say otherwise — "cyclosporine: no dose change"
+// or "clarithromycin - 500mg bid" must not read as negated; elsewhere the usual negation cues apply.
+export function parseMedications(normalizedText) {
+  const all = splitSoapLines(normalizedText);
+  const medLines = all.filter((l) => l.section === "med");
+  const lines = medLines.length ? medLines : all.filter((l) => l.section !== "allergy");
+  const out = [];
+  for (const d of INTERACTING_DRUGS) {
+    const finding = assessFinding(lines, d.patterns, { negatedPatterns: STOPPED_PATTERNS, cues: !medLines.length });
+    if (!isAffirmed(finding)) continue;
+    const ev = finding.evidence;
+    out.push({ drug: d.drug, label: d.label, lineNo: ev.lineNo, section: ev.section, text: ev.text });
+  }
+  return out;
+}
+
+// patientState (api/patientState.js): values.sex / age / pregnant / breastfeeding, medications
+export function checkStatinInteractions(patientState) {
+  const v = patientState?.values || {};
+  const medications = patientState?.medications || [];
+
+  const byStatin = {};
+  for (const med of medications) {
+    const d = INTERACTING_DRUGS.find((x) => x.drug === med.drug);
+    for (const [statin, rule] of Object.entries(d?.rules || {})) {
+      const cur = byStatin[statin] || { action: null, maxDoseMg: null, reasons: [] };
+      if (!cur.action || ACTION_RANK[rule.action] > ACTION_RANK[cur.action]) cur.action = rule.action;
+      if (rule.action === "cap") {
+        cur.maxDoseMg = cur.maxDoseMg === null ? rule.maxDoseMg : Math.min(cur.maxDoseMg, rule.maxDoseMg);
+      }
+      const what = rule.action === "cap" ? `max ${rule.maxDoseMg} mg/day` : rule.action;
+      cur.reasons.push(`${d.label} (SOAP line ${med.lineNo}): ${what}${rule.note ? ` — ${rule.note}` : ""}`);
+      byStatin[statin] = cur;
+    }
+  }
+
+  const age = typeof v.age === "number" ? v.age : null;
+  const childbearingAge =
+    v.sex === "F" && (age === null || (age >= CHILDBEARING_AGE.min && age <= CHILDBEARING_AGE.max));
+  const pregnancy = !!v.pregnant;
+  const lactation = !!v.breastfeeding;
+
+  const reminders = [];
+  if (pregnancy || lactation) {
+    reminders.push(
+      `${pregnancy ? "Pregnancy" : "Breastfeeding"} → statins are not recommended; hold/withhold statin and revisit after ${pregnancy ? "delivery / breastfeeding" : "weaning"}.`
+    );
+  } else if (childbearingAge) {
+    reminders.push(
+      "Woman of childbearing age → confirm pregnancy status, discuss contraception, and stop the statin if pregnancy is planned or occurs."
+    );
+  }
+  // monitor items: one reminder per medication (not per statin)
+  for (const med of medications) {
+    const d = INTERACTING_DRUGS.find((x) => x.drug === med.drug);
+    const monitored = Object.entries(d?.rules || {}).filter(([, rule]) => rule.action === "monitor");
+    if (!monitored.length) continue;
+    const names = monitored.map(([statin]) => STATINS[statin]?.name ?? statin);
+    const notes = [...new Set(monitored.map(([, rule]) => rule.note).filter(Boolean))];
+    reminders.push(`${d.label} (SOAP line ${med.lineNo}) + ${names.join("/")}: monitor${notes.length ? ` — ${notes.join("; ")}` : ""}.`);
+  }
+
+  return { medications, pregnancy, lactation, childbearingAge, byStatin, reminders };
+}
+
+export function applyStatinInteractions(suggestion, interactions) {
+  if (!suggestion || !interactions) return suggestion;
+  const { byStatin, pregnancy, lactation } = interactions;
+
+  if (pregnancy || lactation) {
+    return {
+      ...suggestion,
+      options: suggestion.options.filter((o) => !o.statin),
+      note: `${pregnancy ? "Pregnancy" : "Breastfeeding"} → no statin suggested.`,
+      adjustedFor: [suggestion.adjustedFor, pregnancy ? "pregnancy" : "breastfeeding"].filter(Boolean).join(" + "),
+    };
+  }
+  if (!Object.keys(byStatin).length) return suggestion;
+
+  const removed = [];
+  const options = [];
+  for (const o of suggestion.options) {
+    const r = o.statin ? byStatin[o.statin] : null;
+    if (!r) {
+      options.push(o);
+    } else if (r.action === "avoid") {
+      removed.push(`${STATINS[o.statin].name} (${r.reasons.join("; ")})`);
+    } else if (r.action === "cap" && o.doseMg && o.doseMg[1] > r.maxDoseMg) {
+      const range = [Math.min(o.doseMg[0], r.maxDoseMg), r.maxDoseMg];
+      const notes = [...(o.notes || []), `dose cap: ${r.reasons.join("; ")}`];
+      options.push({ ...o, doseMg: range, label: statinOptionLabel(o.statin, range, notes), notes, interaction: r });
+    } else {
+      options.push({ ...o, interaction: r });
+    }
+  }
+
+  const adjusted = {
+    ...suggestion,
+    options,
+    adjustedFor: [suggestion.adjustedFor, "drug interactions"].filter(Boolean).join(" + "),
+  };
+  if (removed.length) adjusted.removedForInteraction = removed;
+  if (!options.some((o) => o.statin)) {
+    adjusted.note = "Every suggested statin interacts with current medications → choose per interaction table or adjust the interacting drug.";
+  }
+  return adjusted;
+}
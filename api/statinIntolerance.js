@@ -0,0 +1,347 @@
+// api/statinIntolerance.js
+// =====================================================
+// Statin-associated muscle symptoms (SAMS) pathway (NO LLM REQUIRED)
+// Goal: "stopped atorvastatin 40 mg for myalgia" must change the statin suggestion instead of
+// the engine re-suggesting the same high-intensity dose; options come only from the evidence pack.
+//
+// - STATINS: generic / brand names + ACC/AHA 2018 dose-intensity bands (mg/day)
+// - parseStatinsTried(normalizedText) → [{ statin, name, doseMg, doseRangeMg, intensity, intolerant, lineNo, text }]
+//   doseMg = single dose ("atorvastatin 40 mg"), null for a range; doseRangeMg = [lo, hi] for both
+//   ("rosuvastatin 20–40 mg" → [20, 40]) — planVerifier checks caps against the upper bound
+//   intolerant = an affirmed muscle-symptom / intolerance cue in the same segment (split on , ; .)
+// - assessStatinIntolerance(patientState) → { intolerant, severity, symptoms, statinExposure, ck, statinsTried,
+//     intolerantStatins, culprits, recurrent, suggestions, reminders }
+//   statinExposure = a statin on record, or the symptom cue itself names one ("statin myalgia", UI SAMS tick);
+//   without it myalgia / CK rise is NOT SAMS ("fever, cough and myalgia x2 days") → reminder only
+//   culprits = statinsTried entries blamed for the symptoms (suspected: true when inferred)
+//   severity: "none" | "mild" (symptoms, CK <4× ULN or not measured) | "moderate" (CK 4–10× ULN)
+//             | "severe" (CK ≥10× ULN or rhabdomyolysis)
+// - applyStatinIntolerance(suggestion, sams, { moderateOptions }) → suggestion with SAMS-adjusted options
+//
+// Evidence ids: ACC2018_SAMS_MODERATE_INTENSITY / _RECHALLENGE / _CK_SEVERE / _NONSTATIN,
+// ESC2025_EZETIMIBE_FIRST_ADDON, ACC2018_PCSK9_VERY_HIGH, BEMPEDOIC_ACC2018_NOT_LISTED
+// =====================================================
+
+import { splitSoapLines, assessFinding, isAffirmed } from "./soapNegation.js";
+
+// bands: [min, max] mg/day per intensity (ACC/AHA 2018 dose table, operational)
+export const STATINS = {
+  atorvastatin: {
+    name: "Atorvastatin",
+    patterns: [/\batorvastatin\b/, /\batorva\b/, /\blipitor\b/, "立普妥"],
+    bands: { moderate: [10, 20], high: [40, 80] },
+  },
+  rosuvastatin: {
+    name: "Rosuvastatin",
+    patterns: [/\brosuvastatin\b/, /\brosuva\b/, /\bcrestor\b/, "冠脂妥"],
+    bands: { moderate: [5, 10], high: [20, 40] },
+  },
+  simvastatin: {
+    name: "Simvastatin",
+    patterns: [/\bsimvastatin\b/, /\bsimva\b/, /\bzocor\b/, "素果"],
+    bands: { low: [10, 10], moderate: [20, 40] },
+  },
+  pravastatin: {
+    name: "Pravastatin",
+    patterns: [/\bpravastatin\b/, /\bprava\b/, /\bmevalotin\b/, "美百樂鎮"],
+    bands: { low: [10, 20], moderate: [40, 80] },
+  },
+  pitavastatin: {
+    name: "Pitavastatin",
+    patterns: [/\bpitavastatin\b/, /\bpitava\b/, /\blivalo\b/, "力清之"],
+    bands: { low: [1, 1], moderate: [2, 4] },
+  },
+  fluvastatin: {
+    name: "Fluvastatin",
+    patterns: [/\bfluvastatin\b/, /\bfluva\b/, /\blescol\b/],
+    bands: { low: [20, 40], moderate: [80, 80] },
+  },
+  lovastatin: {
+    name: "Lovastatin",
+    patterns: [/\blovastatin\b/, /\bmevacor\b/],
+    bands: { low: [20, 20], moderate: [40, 80] },
+  },
+};
+
+// Muscle symptoms (also used by lipidEvidence.extractPatientStateFromSoap → findings.muscleSymptoms)
+export const MUSCLE_SYMPTOM_PATTERNS = [
+  "myalgia",
+  "myopathy",
+  "myositis",
+  /muscle (?:pain|ache|aches|soreness|weakness|cramps?|symptoms?)/,
+  /\bsams\b/,
+  "statin intolerance",
+  "statin intolerant",
+  "肌肉痠痛",
+  "肌肉酸痛",
+  "肌肉痛",
+  "肌肉無力",
+  "肌肉抽筋",
+  "肌痛",
+];
+export const RHABDO_PATTERNS = ["rhabdomyolysis", /\brhabdo\b/, "橫紋肌溶解"];
+
+// symptom line that names statins as the cause even without a drug name ("statin intolerance", "SAMS")
+const STATIN_CUE_RE = /statin|\bsams\b|降血脂藥/;
+
+// statin-specific intolerance wording ("intolerant to rosuvastatin", "冠脂妥不耐")
+const INTOLERANCE_CUES = [...MUSCLE_SYMPTOM_PATTERNS, ...RHABDO_PATTERNS, "intolerant", "intolerance", "不耐"];
+
+// CK upper limit of normal when the lab's ULN is not given (U/L, operational)
+export const DEFAULT_CK_ULN = { M: 200, F: 170 };
+
+const INTENSITY_ORDER = ["low", "moderate", "high"];
+
+function _isFiniteNum(x) {
+  return typeof x === "number" && Number.isFinite(x);
+}
+
+export function statinIntensity(statin, doseMg) {
+  const bands = STATINS[statin]?.bands;
+  if (!bands || !_isFiniteNum(doseMg)) return null;
+  let found = null;
+  for (const level of INTENSITY_ORDER) {
+    const band = bands[level];
+    if (band && doseMg >= band[0]) found = level;
+  }
+  return found ?? INTENSITY_ORDER.find((l) => bands[l]) ?? null;
+}
+
+// Option label rebuilt from statin + dose range + every adjustment note, so SAMS / dosing / interaction
+// layers can each narrow the same option without overwriting the previous explanation
+export function statinOptionLabel(statin, doseMg, notes = []) {
+  const [lo, hi] = doseMg;
+  const range = lo === hi ? `${lo}` : `${lo}–${hi}`;
+  return `${STATINS[statin].name} ${range} mg daily${notes.length ? ` (${notes.join("; ")})` : ""}`;
+}
+
+function _findStatins(segment) {
+  const hits = [];
+  for (const [key, s] of Object.entries(STATINS)) {
+    for (const p of s.patterns) {
+      const re = p instanceof RegExp ? p : new RegExp(p);
+      const m = segment.match(re);
+      if (!m) continue;
+      const after = segment.slice(m.index + m[0].length);
+      const dose = after.match(/^\s*(?:\([^)]*\)\s*)?(\d+(?:\.\d+)?)(?:\s*(?:[–~-]|to)\s*(\d+(?:\.\d+)?))?\s*mg/);
+      const lo = dose ? Number(dose[1]) : null;
+      const hi = dose?.[2] ? Number(dose[2]) : lo;
+      hits.push({ statin: key, doseMg: lo === hi ? lo : null, doseRangeMg: dose ? [lo, hi] : null });
+      break;
+    }
+  }
+  return hits;
+}
+
+// Segments = comma / semicolon / sentence pieces, so "on rosuvastatin 10 mg, myalgia+" and
+// "stopped atorvastatin 40 mg due to myalgia" are told apart from unrelated list items
+export function parseStatinsTried(normalizedText) {
+  const out = [];
+  for (const line of splitSoapLines(normalizedText)) {
+    const segments = line.text.split(/[,、;；。]|\.(?!\d)/);
+    for (const seg of segments) {
+      const hits = _findStatins(seg);
+      if (!hits.length) continue;
+      const cue = assessFinding([{ ...line, text: seg }], INTOLERANCE_CUES);
+      for (const h of hits) {
+        out.push({
+          statin: h.statin,
+          name: STATINS[h.statin].name,
+          doseMg: h.doseMg,
+          doseRangeMg: h.doseRangeMg,
+          intensity: statinIntensity(h.statin, h.doseMg),
+          intolerant: isAffirmed(cue),
+          lineNo: line.lineNo,
+          text: line.text.trim(),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+function _ckStatus(ck, uln, sex) {
+  if (!_isFiniteNum(ck)) return null;
+  const assumed = !_isFiniteNum(uln);
+  const limit = assumed ? DEFAULT_CK_ULN[sex] ?? DEFAULT_CK_ULN.F : uln;
+  return { value: ck, uln: limit, ulnAssumed: assumed, xUln: Math.round((ck / limit) * 10) / 10 };
+}
+
+function _statinExposure(patientState, statinsTried) {
+  if (statinsTried.length) return true;
+  const v = patientState?.values || {};
+  const p = patientState?.provenance || {};
+  // UI checkbox is "Statin-associated muscle symptoms"
+  if (v.samsSymptoms && p.samsSymptoms?.source === "ui") return true;
+  return ["samsSymptoms", "rhabdomyolysis"].some((k) => v[k] && STATIN_CUE_RE.test(String(p[k]?.text || "").toLowerCase()));
+}
+
+// patientState (api/patientState.js): values.samsSymptoms / rhabdomyolysis / ck / ckUln / ascvd, statinsTried
+export function assessStatinIntolerance(patientState) {
+  const v = patientState?.values || {};
+  const statinsTried = patientState?.statinsTried || [];
+  const ck = _ckStatus(v.ck, v.ckUln, v.sex);
+  const symptoms = !!v.samsSymptoms;
+  const statinExposure = _statinExposure(patientState, statinsTried);
+
+  let culprits = statinsTried.filter((s) => s.intolerant);
+  // symptoms affirmed but no statin named next to them: a single statin on record is the suspect
+  const distinct = [...new Set(statinsTried.map((s) => s.statin))];
+  if (symptoms && !culprits.length && distinct.length === 1) {
+    culprits = statinsTried.filter((s) => s.statin === distinct[0]).map((s) => ({ ...s, suspected: true }));
+  }
+  const intolerantStatins = [...new Set(culprits.map((s) => s.statin))];
+
+  const severe = !!v.rhabdomyolysis || (ck && ck.xUln >= 10);
+  const ckHigh = ck && ck.xUln >= 4;
+  const intolerant = statinExposure && (symptoms || intolerantStatins.length > 0 || !!severe);
+  const severity = !intolerant ? "none" : severe ? "severe" : ckHigh ? "moderate" : "mild";
+  const recurrent = intolerantStatins.length >= 2;
+
+  const result = {
+    intolerant,
+    severity,
+    symptoms,
+    statinExposure,
+    ck,
+    statinsTried,
+    intolerantStatins,
+    culprits,
+    recurrent,
+    suggestions: [],
+    reminders: [],
+  };
+  if (!intolerant) {
+    if (symptoms || severe) {
+      result.reminders.push(
+        "Muscle symptoms / CK rise without a statin on record → ask about current or past statin exposure before treating it as SAMS."
+      );
+    }
+    return result;
+  }
+
+  const add = (action, text, evidenceId) => result.suggestions.push({ action, text, evidenceId });
+  const tried = culprits.map((s) => `${s.name}${s.doseMg ? ` ${s.doseMg} mg` : ""}${s.suspected ? " (suspected)" : ""}`);
+
+  if (severity === "severe") {
+    add(
+      "hold",
+      `${ck ? `CK ${ck.value} U/L (${ck.xUln}× ULN)` : "Rhabdomyolysis documented"} → stop the statin; check renal function and evaluate for rhabdomyolysis before any rechallenge.`,
+      "ACC2018_SAMS_CK_SEVERE"
+    );
+  } else if (severity === "moderate") {
+    add(
+      "hold",
+      `CK ${ck.value} U/L (${ck.xUln}× ULN) → hold the statin until symptoms resolve and CK normalises, then rechallenge.`,
+      "ACC2018_SAMS_CK_SEVERE"
+    );
+  }
+
+  if (severity !== "severe") {
+    if (intolerantStatins.length) {
+      const untried = Object.keys(STATINS).filter((k) => !intolerantStatins.includes(k));
+      add(
+        "alternate_statin",
+        `After symptoms resolve, rechallenge with an alternate statin (not ${intolerantStatins.map((k) => STATINS[k].name).join("/")}).` +
+          (untried.length ? "" : " No untried statin left."),
+        "ACC2018_SAMS_RECHALLENGE"
+      );
+      add(
+        "rechallenge",
+        `Or rechallenge ${tried.join(", ")} at a lower dose / modified regimen.`,
+        "ACC2018_SAMS_RECHALLENGE"
+      );
+    } else {
+      add("rechallenge", "Reassess symptoms; rechallenge with a modified dose or an alternate statin.", "ACC2018_SAMS_RECHALLENGE");
+    }
+    // only relevant when the failed statin was (or may have been) high-intensity
+    if (!culprits.length || culprits.some((c) => c.intensity === "high" || c.intensity === null)) {
+      add(
+        "lower_intensity",
+        "If high-intensity statin is not tolerated → moderate-intensity statin (expected 30–49% LDL-C reduction).",
+        "ACC2018_SAMS_MODERATE_INTENSITY"
+      );
+    }
+  }
+
+  if (recurrent || severity === "severe") {
+    add(
+      "non_statin",
+      `${recurrent ? "Recurrent SAMS on ≥2 statins" : "Severe SAMS"} → RCT-proven nonstatin therapy is reasonable; ezetimibe first (ESC2025_EZETIMIBE_FIRST_ADDON).`,
+      "ACC2018_SAMS_NONSTATIN"
+    );
+    if (v.ascvd) {
+      add(
+        "non_statin",
+        "Very-high-risk ASCVD with LDL-C ≥70 mg/dL despite maximally tolerated therapy → PCSK9 inhibitor is reasonable.",
+        "ACC2018_PCSK9_VERY_HIGH"
+      );
+    }
+    add("non_statin", "Bempedoic acid: 本 evidence pack 未涵蓋.", "BEMPEDOIC_ACC2018_NOT_LISTED");
+  }
+
+  if (!ck) result.reminders.push("Muscle symptoms on statin → measure CK to grade severity (ACC2018_SAMS_CK_SEVERE).");
+  else if (ck.ulnAssumed) result.reminders.push(`CK ULN not given → assumed ${ck.uln} U/L; use the lab's reference range.`);
+  if (!statinsTried.length) {
+    result.reminders.push("Document which statin(s) and dose(s) were taken when symptoms started.");
+  } else if (culprits.some((s) => s.suspected)) {
+    result.reminders.push(`Symptoms not explicitly linked to a statin → ${tried.join(", ")} assumed; confirm.`);
+  }
+  result.reminders.push(
+    "Document symptom timing vs statin start, resolution after stopping, and secondary contributors (hypothyroidism, interacting drugs, exercise)."
+  );
+  return result;
+}
+
+// Step the ESC dose suggestion down to what the SAMS pathway allows (never back to the failed statin/dose)
+export function applyStatinIntolerance(suggestion, sams, { moderateOptions = [] } = {}) {
+  if (!suggestion || !sams?.intolerant) return suggestion;
+
+  const adjusted = {
+    ...suggestion,
+    adjustedFor: "statin intolerance (SAMS)",
+    intolerance: { severity: sams.severity, intolerantStatins: sams.intolerantStatins, recurrent: sams.recurrent },
+  };
+
+  if (sams.severity === "severe" || sams.severity === "moderate") {
+    adjusted.options = [];
+    const why = sams.severity === "severe" ? "CK ≥10× ULN / rhabdomyolysis" : "CK 4–10× ULN";
+    adjusted.note = `Statin on hold (${why}) → no statin dose suggested until reassessed.`;
+    return adjusted;
+  }
+
+  const excluded = new Set(sams.intolerantStatins);
+  const highCategory = suggestion.category === "very_high" || suggestion.category === "high";
+  // ACC2018_SAMS_MODERATE_INTENSITY: high-intensity not tolerated → moderate-intensity pool
+  const pool = highCategory ? moderateOptions : suggestion.options;
+  const options = pool
+    .filter((o) => !o.statin || !excluded.has(o.statin))
+    .map((o) =>
+      o.statin ? { ...o, evidenceId: highCategory ? "ACC2018_SAMS_MODERATE_INTENSITY" : "ACC2018_SAMS_RECHALLENGE" } : o
+    );
+
+  // Rechallenge the culprit below the dose that failed (only when a lower band exists)
+  for (const c of sams.culprits) {
+    const failed = c.intensity ? INTENSITY_ORDER.indexOf(c.intensity) : -1;
+    const lower = failed > 0 ? INTENSITY_ORDER[failed - 1] : null;
+    const band = lower ? STATINS[c.statin].bands[lower] : null;
+    if (!band || options.some((o) => o.statin === c.statin && o.rechallenge)) continue;
+    const notes = [`rechallenge at ${lower} intensity`];
+    options.push({
+      statin: c.statin,
+      doseMg: band,
+      label: statinOptionLabel(c.statin, band, notes),
+      notes,
+      rechallenge: true,
+      evidenceId: "ACC2018_SAMS_RECHALLENGE",
+    });
+  }
+
+  adjusted.options = options;
+  if (!options.some((o) => o.statin)) {
+    adjusted.note = "No statin option left after excluding the statins not tolerated → see non-statin suggestions.";
+  } else if (highCategory) {
+    adjusted.goal = `${suggestion.goal} (moderate-intensity statin because of SAMS; add non-statin if not at target)`;
+  }
+  return adjusted;
+}